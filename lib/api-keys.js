@@ -0,0 +1,109 @@
+// API keys for the HTTP admin endpoints
+//
+// Each key has a name (recorded in the audit log) and a list of scopes:
+//   queue:write    - POST /queue (the backend multiplier feed)
+//   game:control   - POST /trigger-next, /force-start, /recover
+//   debug:read     - crash points of unplayed rounds in sealed mode (/health, /debug, /test-round)
+//   players:admin  - /admin/sessions (list and disconnect players)
+//   audit:read     - GET /admin/audit
+//   events:read    - admin sockets (`auth: { apiKey }`), which receive queue:low / queue:empty,
+//                    GET /events and GET /incidents
+//   config:write   - PUT /admin/config (timing and curve settings)
+//   *              - every scope
+// Only the SHA-256 of a key is configured and kept in memory. Keys must be long random
+// strings (see `npm run api-key`), which is what makes a plain hash sufficient.
+//
+// CLI: node lib/api-keys.js <name> <scope> [scope...]   prints a new key and its config entry
+
+const crypto = require('crypto');
+
+const SCOPES = ['queue:write', 'game:control', 'debug:read', 'players:admin', 'audit:read', 'events:read', 'config:write'];
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function generateKey() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+// Validate key entries: [{ name, hash, scopes }]
+function normalizeKeys(entries) {
+  if (!Array.isArray(entries)) {
+    throw new Error('API keys must be a JSON array');
+  }
+  const names = new Set();
+  return entries.map(entry => {
+    if (!entry || typeof entry.name !== 'string' || !entry.name) {
+      throw new Error('Every API key needs a name');
+    }
+    if (names.has(entry.name)) {
+      throw new Error(`Duplicate API key name: ${entry.name}`);
+    }
+    names.add(entry.name);
+    const hash = String(entry.hash || '').replace(/^sha256:/, '').toLowerCase();
+    if (!/^[0-9a-f]{64}$/.test(hash)) {
+      throw new Error(`API key ${entry.name} needs a SHA-256 hex hash`);
+    }
+    const scopes = Array.isArray(entry.scopes) ? entry.scopes : [];
+    const unknown = scopes.filter(scope => scope !== '*' && !SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw new Error(`API key ${entry.name} has unknown scopes: ${unknown.join(', ')}`);
+    }
+    return { name: entry.name, hash: Buffer.from(hash, 'hex'), scopes };
+  });
+}
+
+function createKeyring(entries) {
+  const keys = normalizeKeys(entries);
+
+  // Compare against every key so the time taken does not depend on which one matched
+  function authenticate(presented) {
+    if (typeof presented !== 'string' || !presented) {
+      return null;
+    }
+    const presentedHash = crypto.createHash('sha256').update(presented).digest();
+    let match = null;
+    keys.forEach(key => {
+      if (crypto.timingSafeEqual(key.hash, presentedHash) && !match) {
+        match = key;
+      }
+    });
+    return match ? { name: match.name, scopes: match.scopes.slice() } : null;
+  }
+
+  return {
+    authenticate,
+    describe: () => keys.map(key => ({ name: key.name, scopes: key.scopes.slice() }))
+  };
+}
+
+function hasScope(apiKey, scope) {
+  return !!apiKey && (apiKey.scopes.includes('*') || apiKey.scopes.includes(scope));
+}
+
+module.exports = {
+  SCOPES,
+  hashKey,
+  generateKey,
+  createKeyring,
+  hasScope
+};
+
+if (require.main === module) {
+  const [name, ...scopes] = process.argv.slice(2);
+  if (!name || scopes.length === 0) {
+    console.error(`Usage: node lib/api-keys.js <name> <scope> [scope...]\nScopes: ${SCOPES.join(', ')}, *`);
+    process.exit(1);
+  }
+  const key = generateKey();
+  const entry = { name, hash: hashKey(key), scopes };
+  try {
+    normalizeKeys([entry]);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  console.log(`Key (give this to the client, it is not stored anywhere):\n${key}\n`);
+  console.log(`Config entry (add it to API_KEYS):\n${JSON.stringify(entry)}`);
+}
@@ -0,0 +1,50 @@
+// Audit log of admin actions
+//
+// One JSON line per action (who, what, when, outcome) appended to a file, plus the most
+// recent entries in memory for GET /admin/audit. The watchdog's incident log uses the same
+// format (GET /incidents). Admin actions are recorded once their response has been sent (the
+// entry needs its status); the write itself is synchronous like the game state store.
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('audit');
+
+function createAuditLog({ path: filePath = null, recentSize = 200 } = {}) {
+  const resolved = filePath ? path.resolve(filePath) : null;
+  const recent = [];
+
+  if (resolved) {
+    fs.mkdirSync(path.dirname(resolved), { recursive: true });
+  }
+
+  function record(entry) {
+    const line = { time: new Date().toISOString(), ...entry };
+    recent.push(line);
+    if (recent.length > recentSize) {
+      recent.shift();
+    }
+    if (resolved) {
+      try {
+        fs.appendFileSync(resolved, `${JSON.stringify(line)}\n`);
+      } catch (error) {
+        logger.error(`❌ Failed to write ${resolved}`, { error });
+      }
+    }
+    return line;
+  }
+
+  // Newest first
+  function list(limit = recentSize) {
+    return recent.slice(-limit).reverse();
+  }
+
+  return {
+    path: resolved,
+    record,
+    list
+  };
+}
+
+module.exports = { createAuditLog };
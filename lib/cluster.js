@@ -0,0 +1,189 @@
+// Leader election and replication between server instances
+//
+// Every instance tries to hold one lease in the shared backend. The holder is the leader:
+// it runs the game loops and publishes every table event and state change. The other
+// instances are replicas: they relay those events to their own clients and forward
+// commands (queue, controls, bets) to the leader, which answers on a per-instance channel.
+// The lease is renewed every third of its TTL; an instance that fails to renew steps down,
+// and a replica takes over once the lease has expired.
+
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+const { systemScheduler } = require('./game-state-machine');
+
+const logger = createLogger('cluster');
+
+const LEASE_KEY = 'aviator:leader';
+const CHANNELS = {
+  events: 'aviator:events', // { origin, tableId, event, payload, to }
+  state: 'aviator:state', // { origin, tableId, state }
+  sync: 'aviator:sync', // { origin } - replica asks the leader for the full state
+  commands: 'aviator:commands' // { origin, requestId, tableId, action, args }
+};
+
+function replyChannel(instanceId) {
+  return `aviator:replies:${instanceId}`;
+}
+
+function createCluster(options) {
+  const {
+    adapter,
+    instanceId,
+    leaseTtl = 10000,
+    requestTimeout = 5000,
+    onPromote = () => {},
+    onDemote = () => {},
+    onEvent = () => {},
+    onState = () => {},
+    onSyncRequest = () => {},
+    onCommand = () => { throw new Error('No command handler'); },
+    scheduler = systemScheduler // { setTimeout, clearTimeout }
+  } = options;
+
+  let isLeader = false;
+  let leaderId = null; // Last instance seen publishing as leader
+  let leaseTimer = null;
+  let stopped = false;
+  const pendingRequests = new Map(); // requestId -> { resolve, reject, timer }
+
+  function publish(channel, message) {
+    return adapter.publish(channel, { origin: instanceId, ...message }).catch(error => {
+      logger.error(`❌ Failed to publish on ${channel}`, { error });
+    });
+  }
+
+  async function renewLease() {
+    let held = false;
+    try {
+      held = await adapter.acquireLease(LEASE_KEY, instanceId, leaseTtl);
+    } catch (error) {
+      logger.error(`❌ Lease renewal failed`, { error });
+    }
+    if (stopped) {
+      return;
+    }
+
+    if (held && !isLeader) {
+      isLeader = true;
+      leaderId = instanceId;
+      logger.info(`👑 Instance ${instanceId} is now the leader`);
+      onPromote();
+    } else if (!held && isLeader) {
+      isLeader = false;
+      leaderId = null;
+      logger.warn(`🪞 Instance ${instanceId} lost the lease, now a replica`);
+      onDemote();
+    }
+
+    leaseTimer = scheduler.setTimeout(renewLease, Math.floor(leaseTtl / 3));
+  }
+
+  async function handleCommand(message) {
+    if (!isLeader) {
+      return;
+    }
+    let reply;
+    try {
+      reply = { requestId: message.requestId, result: await onCommand(message) };
+    } catch (error) {
+      reply = { requestId: message.requestId, error: error.message };
+    }
+    publish(replyChannel(message.origin), reply);
+  }
+
+  function handleReply(message) {
+    const pending = pendingRequests.get(message.requestId);
+    if (!pending) {
+      return;
+    }
+    pendingRequests.delete(message.requestId);
+    scheduler.clearTimeout(pending.timer);
+    if (message.error) {
+      pending.reject(new Error(message.error));
+    } else {
+      pending.resolve(message.result);
+    }
+  }
+
+  async function start() {
+    await adapter.subscribe(CHANNELS.events, message => {
+      if (message.origin === instanceId) return;
+      leaderId = message.origin;
+      if (!isLeader) onEvent(message);
+    });
+    await adapter.subscribe(CHANNELS.state, message => {
+      if (message.origin === instanceId) return;
+      leaderId = message.origin;
+      if (!isLeader) onState(message);
+    });
+    await adapter.subscribe(CHANNELS.sync, message => {
+      if (message.origin !== instanceId && isLeader) onSyncRequest(message);
+    });
+    await adapter.subscribe(CHANNELS.commands, handleCommand);
+    await adapter.subscribe(replyChannel(instanceId), handleReply);
+
+    logger.info(`🛰️ Cluster instance ${instanceId} started (${adapter.type} adapter, lease ${leaseTtl}ms)`);
+    await renewLease();
+    if (!isLeader) {
+      publish(CHANNELS.sync, {});
+    }
+  }
+
+  // Hand the lease over on shutdown so a replica does not have to wait for it to expire
+  async function stop() {
+    stopped = true;
+    scheduler.clearTimeout(leaseTimer);
+    pendingRequests.forEach(pending => {
+      scheduler.clearTimeout(pending.timer);
+      pending.reject(new Error('Cluster stopped'));
+    });
+    pendingRequests.clear();
+    try {
+      if (isLeader) {
+        await adapter.releaseLease(LEASE_KEY, instanceId);
+      }
+      await adapter.close();
+    } catch (error) {
+      logger.error(`❌ Failed to leave the cluster cleanly`, { error });
+    }
+    isLeader = false;
+  }
+
+  function publishEvent(tableId, event, payload, to) {
+    return publish(CHANNELS.events, { tableId, event, payload, to: to || null });
+  }
+
+  function publishState(tableId, state) {
+    return publish(CHANNELS.state, { tableId, state });
+  }
+
+  // Run a table action on the leader. Rejects when no leader answers in time.
+  function request(tableId, action, args) {
+    const requestId = crypto.randomBytes(8).toString('hex');
+    return new Promise((resolve, reject) => {
+      const timer = scheduler.setTimeout(() => {
+        pendingRequests.delete(requestId);
+        reject(new Error('Leader did not respond'));
+      }, requestTimeout);
+      pendingRequests.set(requestId, { resolve, reject, timer });
+      publish(CHANNELS.commands, { requestId, tableId, action, args });
+    });
+  }
+
+  return {
+    instanceId,
+    get isLeader() { return isLeader; },
+    get leaderId() { return leaderId; },
+    start,
+    stop,
+    publishEvent,
+    publishState,
+    request
+  };
+}
+
+module.exports = {
+  LEASE_KEY,
+  CHANNELS,
+  createCluster
+};
@@ -0,0 +1,207 @@
+// Game configuration
+//
+// Timing and curve settings with their types and ranges. Values come from the defaults,
+// then CONFIG_FILE (JSON, or YAML for .yaml / .yml), then the environment, so an env var
+// always wins over the file. Tables (TABLES, or `tables` in the file) can override any table
+// setting. Everything is checked at startup, and PUT /admin/config checks changes with the
+// same rules.
+//
+//   # config.yaml
+//   bettingPhaseDuration: 5000
+//   growthRate: 0.1
+//   tables:
+//     - id: main
+//     - id: fast
+//       bettingPhaseDuration: 3000
+//       waitPhaseDuration: 1000
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { CURVE_TYPES } = require('./multiplier-curve');
+
+// Settings of a table, which PUT /admin/config can change while the server runs
+const TABLE_SETTINGS = {
+  bettingPhaseDuration: { env: 'BETTING_PHASE_DURATION', type: 'integer', min: 1000, max: 600000, default: 6000 },
+  waitPhaseDuration: { env: 'WAIT_PHASE_DURATION', type: 'integer', min: 500, max: 600000, default: 3000 },
+  multiplierUpdateInterval: { env: 'MULTIPLIER_UPDATE_INTERVAL', type: 'integer', min: 10, max: 1000, default: 100 },
+  keyframeInterval: { env: 'MULTIPLIER_KEYFRAME_INTERVAL', type: 'integer', min: 0, max: 60000, default: 1000 },
+  // Flight curve, see lib/multiplier-curve.js
+  curveType: { env: 'CURVE_TYPE', type: 'enum', values: CURVE_TYPES, default: 'exponential' },
+  // At the lowest rate the highest accepted multiplier still flies in under the 5 minute safety limit
+  growthRate: { env: 'CURVE_GROWTH_RATE', type: 'number', min: 0.05, max: 1, default: 0.08 },
+  maxFlightTime: { env: 'CURVE_MAX_FLIGHT_TIME', type: 'integer', min: 10, max: 280, default: 60 }, // s, accelerating curve
+  // Per second, linear curve. Flights over 5 minutes are refused (see checkCurve), so a table
+  // using it needs at least 3334 to fly the highest crash point the queue accepts.
+  curveSlope: { env: 'CURVE_SLOPE', type: 'number', min: 0.01, max: 100000, default: 1 },
+  // Risk limits, 0 for none (see "Bet Limits" in the README)
+  minBet: { env: 'MIN_BET', type: 'number', min: 0, max: 1000000000, default: 0 },
+  maxBet: { env: 'MAX_BET', type: 'number', min: 0, max: 1000000000, default: 0 },
+  maxPayout: { env: 'MAX_PAYOUT', type: 'number', min: 0, max: 1000000000, default: 0 }, // per bet
+  maxRoundExposure: { env: 'MAX_ROUND_EXPOSURE', type: 'number', min: 0, max: 1000000000, default: 0 } // potential payout of a round
+};
+
+// Server-wide settings (startup only)
+const SERVER_SETTINGS = {
+  // Length of a round in the backend's time-based numbering, used for the round drift
+  roundDuration: { env: 'ROUND_DURATION', type: 'integer', min: 1000, max: 3600000, default: 10000 }
+};
+
+const ALL_SETTINGS = { ...TABLE_SETTINGS, ...SERVER_SETTINGS };
+
+function checkValue(name, value, setting) {
+  if (setting.type === 'enum') {
+    return setting.values.includes(value) ? null : `${name} must be one of: ${setting.values.join(', ')}`;
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return `${name} must be a number`;
+  }
+  if (setting.type === 'integer' && !Number.isInteger(value)) {
+    return `${name} must be an integer`;
+  }
+  if (value < setting.min || value > setting.max) {
+    return `${name} must be between ${setting.min} and ${setting.max}`;
+  }
+  return null;
+}
+
+// Check `values` against `settings`. Returns { values, errors }; unknown names are errors too.
+function validateSettings(values, settings = TABLE_SETTINGS) {
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    return { values: {}, errors: [{ error: 'Settings must be an object' }] };
+  }
+  const valid = {};
+  const errors = [];
+  Object.keys(values).forEach(name => {
+    const setting = settings[name];
+    if (!setting) {
+      errors.push({ setting: name, error: `Unknown setting ${name}` });
+      return;
+    }
+    const error = checkValue(name, values[name], setting);
+    if (error) {
+      errors.push({ setting: name, error });
+    } else {
+      valid[name] = values[name];
+    }
+  });
+  return { values: valid, errors };
+}
+
+function defaults(settings) {
+  const values = {};
+  Object.entries(settings).forEach(([name, setting]) => {
+    values[name] = setting.default;
+  });
+  return values;
+}
+
+// Env values are strings; an empty one counts as unset
+function readEnv(env, settings) {
+  const values = {};
+  Object.entries(settings).forEach(([name, setting]) => {
+    const raw = env[setting.env];
+    if (raw !== undefined && raw !== '') {
+      values[name] = setting.type === 'enum' ? raw : Number(raw);
+    }
+  });
+  return values;
+}
+
+function readFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const isYaml = ['.yaml', '.yml'].includes(path.extname(filePath).toLowerCase());
+  const data = isYaml ? YAML.parse(text) : JSON.parse(text);
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`${filePath} must contain an object of settings`);
+  }
+  return data;
+}
+
+// Limits that only make sense together: a bet of maxBet must be able to win something
+function checkLimits(settings) {
+  const errors = [];
+  if (settings.maxBet > 0 && settings.minBet > settings.maxBet) {
+    errors.push({ error: 'minBet must not be above maxBet' });
+  }
+  if (settings.maxPayout > 0 && settings.maxBet > 0 && settings.maxPayout < settings.maxBet * 1.01) {
+    errors.push({ error: 'maxPayout must be at least 1.01 times maxBet' });
+  }
+  if (settings.maxRoundExposure > 0 && settings.maxBet > 0 && settings.maxRoundExposure < settings.maxBet * 1.01) {
+    errors.push({ error: 'maxRoundExposure must be at least 1.01 times maxBet' });
+  }
+  return errors;
+}
+
+// The table settings of a configuration (or of a resolved table)
+function tableSettings(config) {
+  const values = {};
+  Object.keys(TABLE_SETTINGS).forEach(name => {
+    values[name] = config[name];
+  });
+  return values;
+}
+
+// Tables: [{ id, ...table settings }], each setting defaulting to the global value
+function parseTables(value, globals, errors) {
+  if (value === undefined || value === null) {
+    return [{ id: 'main', ...tableSettings(globals) }];
+  }
+  if (!Array.isArray(value) || value.length === 0) {
+    errors.push({ error: 'tables must be a non-empty array' });
+    return [];
+  }
+  const ids = new Set();
+  return value.map(entry => {
+    if (!entry || typeof entry.id !== 'string' || !/^[\w-]+$/.test(entry.id)) {
+      errors.push({ error: `Invalid table id: ${JSON.stringify(entry && entry.id)}` });
+      return null;
+    }
+    if (ids.has(entry.id)) {
+      errors.push({ error: `Duplicate table id: ${entry.id}` });
+      return null;
+    }
+    ids.add(entry.id);
+    const { id, ...overrides } = entry;
+    const checked = validateSettings(overrides);
+    checked.errors.forEach(error => errors.push({ ...error, table: id }));
+    return { id, ...tableSettings(globals), ...checked.values };
+  }).filter(Boolean);
+}
+
+// Options of lib/multiplier-curve.js's createCurve() for a table's settings
+function curveOptions(settings) {
+  return {
+    type: settings.curveType,
+    growthRate: settings.growthRate,
+    maxFlightTime: settings.maxFlightTime,
+    slope: settings.curveSlope
+  };
+}
+
+// The whole configuration: { ...settings, tables, file }. Throws with every problem found.
+function loadConfig(env = process.env) {
+  const file = env.CONFIG_FILE ? readFile(env.CONFIG_FILE) : {};
+  const { tables: fileTables, ...fileValues } = file;
+  const errors = [];
+  const checked = validateSettings({ ...defaults(ALL_SETTINGS), ...fileValues, ...readEnv(env, ALL_SETTINGS) }, ALL_SETTINGS);
+  errors.push(...checked.errors);
+  const tables = parseTables(env.TABLES ? JSON.parse(env.TABLES) : fileTables, checked.values, errors);
+  tables.forEach(table => checkLimits(table).forEach(error => errors.push({ ...error, table: table.id })));
+
+  if (errors.length > 0) {
+    const problems = errors.map(error => (error.table ? `table ${error.table}: ${error.error}` : error.error));
+    throw new Error(`Invalid configuration${env.CONFIG_FILE ? ` in ${env.CONFIG_FILE}` : ''}: ${problems.join('; ')}`);
+  }
+  return { ...checked.values, tables, file: env.CONFIG_FILE || null };
+}
+
+module.exports = {
+  TABLE_SETTINGS,
+  SERVER_SETTINGS,
+  validateSettings,
+  checkLimits,
+  tableSettings,
+  curveOptions,
+  loadConfig
+};
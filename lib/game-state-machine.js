@@ -0,0 +1,250 @@
+// Game loop state machine
+//
+// The phase and round of a table only change through the declared transitions:
+//
+//   start    wait     → betting   a round begins (the round to play is given)
+//   fly      betting  → flying
+//   crash    flying   → crashed
+//   advance  crashed  → wait      the only way the round number moves on (+1)
+//   abort    betting, flying → wait   the round in play is abandoned and replayed later
+//
+// Anything else is refused with an `illegal_transition` error. Timers belong to the phase
+// they were set in: every transition cancels them, so a timer can never act on a later
+// phase or round. Time comes from an injectable clock and timers from an injectable
+// scheduler, so whole rounds can run without real setTimeout.
+//
+// Every transition (and every restore from a snapshot) is appended to an event log, and
+// replay(events) rebuilds the state from it. The log keeps the last `logSize` events; a
+// trimmed log is replayed from the state its first event left from.
+
+const PHASES = ['wait', 'betting', 'flying', 'crashed'];
+
+const TRANSITIONS = {
+  start: { from: ['wait'], to: 'betting' },
+  fly: { from: ['betting'], to: 'flying' },
+  crash: { from: ['flying'], to: 'crashed' },
+  advance: { from: ['crashed'], to: 'wait' },
+  abort: { from: ['betting', 'flying'], to: 'wait' }
+};
+
+const systemClock = {
+  now: () => Date.now()
+};
+
+const systemScheduler = {
+  setTimeout: (callback, delay) => setTimeout(callback, delay),
+  clearTimeout: (handle) => clearTimeout(handle),
+  setInterval: (callback, interval) => setInterval(callback, interval),
+  clearInterval: (handle) => clearInterval(handle)
+};
+
+function illegalTransition(message) {
+  const error = new Error(message);
+  error.code = 'illegal_transition';
+  return error;
+}
+
+// Round number a transition leads to, or throws when the guard refuses it
+function nextRound(name, state, round) {
+  if (name === 'advance') {
+    return state.round + 1;
+  }
+  if (name === 'start') {
+    if (!Number.isInteger(round) || round < state.round) {
+      throw illegalTransition(`Cannot start round ${round}: round ${state.round} is already reached`);
+    }
+    return round;
+  }
+  return state.round;
+}
+
+// Apply one log entry to a state (used live and by replay)
+function applyEvent(state, event) {
+  return {
+    phase: event.to,
+    round: event.round,
+    phaseStartedAt: event.at,
+    phaseEndsAt: event.endsAt,
+    seq: event.seq
+  };
+}
+
+// State an event was applied to, as far as the guards need it: the phase it left and the
+// round before it (a start may jump to any later round, so its own round will do)
+function stateBefore(event) {
+  return {
+    phase: event.from,
+    round: event.type === 'advance' ? event.round - 1 : event.round,
+    phaseStartedAt: null,
+    phaseEndsAt: null,
+    seq: event.seq - 1
+  };
+}
+
+// Rebuild the state from an event log: phase, round, phase times and the crashed rounds.
+// Without `initial` the log is replayed from the state before its first event, so the
+// trimmed log of GET /events replays as well as a complete one.
+function replay(events, initial = events.length > 0 ? stateBefore(events[0]) : { phase: 'wait', round: 0, phaseStartedAt: null, phaseEndsAt: null, seq: 0 }) {
+  let state = initial;
+  const crashed = [];
+  events.forEach(event => {
+    if (event.type !== 'restore') {
+      const transition = TRANSITIONS[event.type];
+      if (!transition || !transition.from.includes(state.phase) || event.round !== nextRound(event.type, state, event.round)) {
+        throw illegalTransition(`Event ${event.seq} (${event.type} from ${state.phase}, round ${event.round}) does not follow from round ${state.round}`);
+      }
+    }
+    state = applyEvent(state, event);
+    if (event.type === 'crash') {
+      crashed.push({ round: event.round, crashPoint: event.crashPoint, crashedAt: event.at });
+    }
+  });
+  return { ...state, crashed };
+}
+
+function createStateMachine({
+  clock = systemClock,
+  scheduler = systemScheduler,
+  logSize = 1000, // Events kept in memory
+  onTransition = null, // (event) after every transition and restore
+  onTimerError = null // (error, details) when a timer callback throws or fires out of phase
+} = {}) {
+  let state = { phase: 'wait', round: 0, phaseStartedAt: null, phaseEndsAt: null, seq: 0 };
+  const events = [];
+  const timers = new Map(); // name -> { handle, interval }
+
+  function record(type, from, data) {
+    const event = { seq: state.seq + 1, type, from, to: data.phase, round: data.round, at: data.at, endsAt: data.endsAt, ...data.details };
+    state = applyEvent(state, event);
+    events.push(event);
+    if (events.length > logSize) {
+      events.shift();
+    }
+    if (onTransition) {
+      onTransition(event);
+    }
+    return event;
+  }
+
+  function can(name) {
+    const transition = TRANSITIONS[name];
+    return !!transition && transition.from.includes(state.phase);
+  }
+
+  // transition('start', { round, duration, details }). duration sets the phase deadline.
+  function transition(name, { round, duration = null, details = {} } = {}) {
+    const definition = TRANSITIONS[name];
+    if (!definition) {
+      throw illegalTransition(`Unknown transition ${name}`);
+    }
+    if (!definition.from.includes(state.phase)) {
+      throw illegalTransition(`Cannot ${name} from ${state.phase} (round ${state.round})`);
+    }
+    const to = nextRound(name, state, round);
+    cancelTimers();
+    const at = clock.now();
+    return record(name, state.phase, {
+      phase: definition.to,
+      round: to,
+      at,
+      endsAt: duration !== null ? at + duration : null,
+      details
+    });
+  }
+
+  // Set the state directly from a snapshot (restart, failover, replicas). Timers are cancelled.
+  function restore({ phase = 'wait', round = 0, phaseStartedAt = clock.now(), phaseEndsAt = null }, { recordEvent = true } = {}) {
+    if (!PHASES.includes(phase)) {
+      throw illegalTransition(`Unknown phase ${phase}`);
+    }
+    cancelTimers();
+    if (!recordEvent) {
+      state = { phase, round, phaseStartedAt, phaseEndsAt, seq: state.seq };
+      return null;
+    }
+    return record('restore', state.phase, { phase, round, at: phaseStartedAt, endsAt: phaseEndsAt, details: {} });
+  }
+
+  // Timers of the current phase. A callback that still fires after a transition (it should
+  // not, they are cancelled) is ignored and reported.
+  function guard(name, callback) {
+    const seq = state.seq;
+    const expected = { round: state.round, phase: state.phase };
+    return () => {
+      if (state.seq !== seq) {
+        if (onTimerError) onTimerError(null, { timer: name, expected });
+        return;
+      }
+      try {
+        callback();
+      } catch (error) {
+        if (onTimerError) {
+          onTimerError(error, { timer: name, expected });
+        } else {
+          throw error;
+        }
+      }
+    };
+  }
+
+  function after(name, delay, callback) {
+    cancelTimer(name);
+    const handle = scheduler.setTimeout(guard(name, () => {
+      timers.delete(name);
+      callback();
+    }), delay);
+    timers.set(name, { handle, interval: false });
+  }
+
+  function every(name, interval, callback) {
+    cancelTimer(name);
+    const handle = scheduler.setInterval(guard(name, callback), interval);
+    timers.set(name, { handle, interval: true });
+  }
+
+  function cancelTimer(name) {
+    const timer = timers.get(name);
+    if (!timer) return;
+    if (timer.interval) {
+      scheduler.clearInterval(timer.handle);
+    } else {
+      scheduler.clearTimeout(timer.handle);
+    }
+    timers.delete(name);
+  }
+
+  function cancelTimers() {
+    Array.from(timers.keys()).forEach(cancelTimer);
+  }
+
+  // Logged events after `since` (a seq number)
+  function eventLog(since = 0) {
+    return events.filter(event => event.seq > since);
+  }
+
+  return {
+    get phase() { return state.phase; },
+    get round() { return state.round; },
+    get phaseStartedAt() { return state.phaseStartedAt; },
+    get phaseEndsAt() { return state.phaseEndsAt; },
+    get seq() { return state.seq; },
+    can,
+    transition,
+    restore,
+    after,
+    every,
+    cancelTimer,
+    cancelTimers,
+    activeTimers: () => Array.from(timers.keys()),
+    eventLog
+  };
+}
+
+module.exports = {
+  PHASES,
+  TRANSITIONS,
+  systemClock,
+  systemScheduler,
+  replay,
+  createStateMachine
+};
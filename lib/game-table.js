@@ -0,0 +1,1640 @@
+// Game table
+//
+// One independent game loop (betting → flying → crashed → wait) with its own multiplier
+// queue, phase durations, bets, history and storage. Every event of a table goes to its
+// Socket.IO room, `table:<id>`, and carries the table id.
+//
+// Phases and rounds change only through the transitions of lib/game-state-machine.js,
+// which also owns the timers and logs every transition.
+//
+// In a cluster only the leader's tables are active and run the loop. The tables of a
+// replica are inactive mirrors: they receive the leader's state and events (importState,
+// relay) and never run timers or write to storage until they are promoted.
+
+const crypto = require('crypto');
+const provablyFair = require('./provably-fair');
+const roundHistory = require('./round-history');
+const multiplierBatch = require('./multiplier-batch');
+const { createStateMachine, systemClock, systemScheduler } = require('./game-state-machine');
+const { createLogger } = require('./logger');
+const { createCurve, DEFAULT_GROWTH_RATE } = require('./multiplier-curve');
+const { curveOptions } = require('./config');
+const { createLeaderboard } = require('./leaderboard');
+
+// Version of the game:snapshot payload; bumped when its fields change incompatibly
+const GAME_SNAPSHOT_VERSION = 1;
+
+// Idempotency keys remembered per table (oldest are forgotten first)
+const IDEMPOTENCY_KEYS_KEPT = 1000;
+
+// Socket.IO room of admin connections (queue:low / queue:empty of every table)
+const ADMIN_ROOM = 'admins';
+
+// Bets and cash-outs listed in one bets:live update; the rest are only counted (`omitted`)
+const LIVE_BETS_BATCH_MAX = 100;
+
+function createTable(options) {
+  const {
+    id,
+    io,
+    store,
+    bettingPhaseDuration = 6000,
+    waitPhaseDuration = 3000,
+    multiplierUpdateInterval = 100,
+    keyframeInterval = 1000, // ms between multiplier:update keyframes (0 = none)
+    curveType = 'exponential', // Flight curve strategy, see lib/multiplier-curve.js
+    growthRate = DEFAULT_GROWTH_RATE, // Curve growth rate, per second
+    maxFlightTime = 60, // s to the highest multiplier (accelerating curve)
+    curveSlope = 1, // Multiplier gained per second (linear curve)
+    minBet = 0, // Risk limits, 0 for none: smallest and largest bet,
+    maxBet = 0,
+    maxPayout = 0, // highest payout of one bet
+    maxRoundExposure = 0, // and highest potential payout of a round
+    sealedRounds = false,
+    roundRetention = 1000,
+    historySnapshotSize = 20,
+    conflictMode = 'reject', // Default for queued rounds sent again with another multiplier
+    queueLowWater = 5, // queue:low is sent when fewer rounds than this are queued
+    liveBetsInterval = 500, // ms between bets:live updates (0 = no live feed)
+    summaryTopWinners = 5, // Winners listed in round:summary
+    leaderboardWindows = [{ name: '24h', ms: 86400000 }], // See lib/leaderboard.js
+    leaderboardSize = 10,
+    active: initiallyActive = true,
+    onEmit = null, // (event, payload, to) for every event this table sends
+    onStateChange = null, // (state) whenever the table persists its state
+    onQueueLevel = null, // (level, status) when the queue becomes 'low', 'empty' or 'ok' again
+    onIncident = null, // (incident) when a timer fires for a round or phase that is over
+    onTransition = null, // (event) after every phase transition, see lib/game-state-machine.js
+    clock = systemClock, // { now() }
+    scheduler = systemScheduler // { setTimeout, clearTimeout, setInterval, clearInterval }
+  } = options;
+  const fairnessOptions = {
+    mode: 'off',
+    clientSeed: 'aviator-socket-server',
+    chainLength: 10000,
+    secret: null,
+    ...options.provablyFair
+  };
+  const room = `table:${id}`;
+
+  // Timing, curve and limit settings. Changes (updateSettings) wait in pendingSettings until the
+  // next round starts, so a round always runs with the settings it started with.
+  let settings = { bettingPhaseDuration, waitPhaseDuration, multiplierUpdateInterval, keyframeInterval, curveType, growthRate, maxFlightTime, curveSlope, minBet, maxBet, maxPayout, maxRoundExposure };
+  let pendingSettings = null;
+  let curve = createCurve(curveOptions(settings));
+
+  // Game state. The queue is every round in roundMultipliers that has not been played yet.
+  let roundMultipliers = new Map(); // round -> multiplier mapping
+  let currentMultiplier = 1.00;
+  let crashPoint = null;
+  let bettingStartTime = null; // Track betting phase start time
+  let startTime = null; // Track flying phase start time
+  let roundSeed = null; // Per-round server seed (sealed mode)
+  let roundCommitment = null; // sha256(seed:round:crashPoint), published before the crash
+
+  // Provably fair state
+  let hashChain = null; // Server seed chain (derive mode)
+  let chainNumber = 0; // Chains started so far, each one follows the last when it runs out
+  let roundFairness = null; // Fairness record of the current round
+  const backendSeeds = new Map(); // round -> { serverSeed, clientSeed, nonce } (verify mode)
+
+  let queueLevel = 'ok'; // 'ok', 'low' or 'empty'
+
+  // POST /queue idempotency
+  const idempotentBatches = new Map(); // key -> { fingerprint, status, body }
+
+  // Completed rounds
+  const roundResults = new Map(); // round -> { round, crashPoint, bettingStartedAt, flyingStartedAt, crashedAt, fairness }
+
+  // Bets for the current round. `name` is the player's public display name (null when the
+  // player has none or keeps it private) and betId identifies the bet in public events.
+  // payoutCap is the multiplier at which the bet reaches maxPayout, and `capped` tells why a
+  // bet was cashed out by a limit ('max_payout' or 'exposure').
+  let roundBets = new Map(); // userId -> { betId, name, amount, autoCashout, payoutCap, placedAt, cashoutMultiplier, payout, cashedOutAt, autoCashedOut, capped }
+  let betCount = 0; // Bets placed in the current round
+
+  // bets:live: bets and cash-outs since the last update, sent at most every liveBetsInterval
+  let liveBets = null; // { round, bets, cashouts, omitted }
+  let liveBetsTimer = null;
+
+  // Biggest wins and highest cash-outs, persisted with the snapshot
+  const leaderboard = createLeaderboard({ windows: leaderboardWindows, size: leaderboardSize, clock });
+
+  // Cluster state
+  let active = initiallyActive; // Runs the game loop (always true outside a cluster)
+  let replicatedState = null; // Latest state received from the leader (replicas)
+
+  // Phase ('wait', 'betting', 'flying', 'crashed'), round (sequential counter, not
+  // time-based), phase times and timers: bettingTimer, simulationInterval, safetyTimer
+  // (forces a crash if the flight overruns) and waitTimer
+  const machine = createStateMachine({
+    clock,
+    scheduler,
+    onTransition,
+    onTimerError: (error, details) => reportIncident(error ? 'timer_error' : 'stale_timer', { ...details, ...(error ? { error: error.message } : {}) })
+  });
+
+  const logger = createLogger('table', { tableId: id });
+  const tickLogger = logger.throttle(1000, clock); // The flight ticks every multiplierUpdateInterval
+
+  // Send an event to the table's room, or to one socket when `to` is set
+  function emit(event, payload, to = null) {
+    const message = { tableId: id, ...payload };
+    io.to(to || room).emit(event, message);
+    if (onEmit) {
+      onEmit(event, message, to);
+    }
+  }
+
+  // Lowest round that can still be queued: the current round is taken once it is in play
+  function firstOpenRound() {
+    return machine.phase === 'wait' ? machine.round : machine.round + 1;
+  }
+
+  // The queue: rounds with a multiplier that have not been played yet, lowest first
+  function pendingRounds() {
+    const first = firstOpenRound();
+    return Array.from(roundMultipliers.keys())
+      .filter(round => round >= first && !roundResults.has(round))
+      .sort((a, b) => a - b);
+  }
+
+  function queueStatus() {
+    const pending = pendingRounds();
+    return {
+      queueSize: pending.length,
+      nextRound: pending.length > 0 ? pending[0] : null,
+      lastRound: pending.length > 0 ? pending[pending.length - 1] : null,
+      firstOpenRound: firstOpenRound(),
+      lowWater: queueLowWater,
+      level: queueLevel
+    };
+  }
+
+  // Tell admins when the queue runs low or empty (once per change of level)
+  function checkQueueLevel() {
+    const status = queueStatus();
+    const level = status.queueSize === 0 ? 'empty' : (status.queueSize < queueLowWater ? 'low' : 'ok');
+    if (level === queueLevel) {
+      return;
+    }
+    queueLevel = level;
+    status.level = level;
+    if (level !== 'ok') {
+      logger.warn(`${level === 'empty' ? '🪫' : '🔋'} Queue ${level}`, { queueSize: status.queueSize, lowWater: queueLowWater });
+      emit(`queue:${level}`, status, ADMIN_ROOM);
+    }
+    if (onQueueLevel) {
+      onQueueLevel(level, status);
+    }
+  }
+
+  // Helper function to get multiplier for a specific round
+  function getMultiplierForRound(round) {
+    const multiplier = roundMultipliers.get(round);
+    return multiplier || 1.00;
+  }
+
+  // Sealed round helpers
+  function isRoundSealed() {
+    return sealedRounds && (machine.phase === 'betting' || machine.phase === 'flying');
+  }
+
+  // A round's multiplier is public once the round has crashed (or always, when sealing is
+  // off). Not the phase: in the wait phase machine.round is the next round to play.
+  function isRoundRevealed(round) {
+    if (!sealedRounds) return true;
+    return roundResults.has(round);
+  }
+
+  function publicCrashPoint() {
+    return isRoundSealed() ? null : crashPoint;
+  }
+
+  function sealRound() {
+    roundSeed = crypto.randomBytes(32).toString('hex');
+    roundCommitment = crypto
+      .createHash('sha256')
+      .update(`${roundSeed}:${machine.round}:${crashPoint}`)
+      .digest('hex');
+  }
+
+  // crashPoint plus, in sealed mode, the commitment (and the seed once revealed),
+  // plus the provably fair inputs of the round when that mode is on
+  function crashPointFields() {
+    if (!sealedRounds) {
+      return { crashPoint, ...fairnessFields() };
+    }
+    const sealed = isRoundSealed();
+    return {
+      crashPoint: sealed ? null : crashPoint,
+      commitment: roundCommitment,
+      ...(sealed ? {} : { serverSeed: roundSeed }),
+      ...fairnessFields()
+    };
+  }
+
+  // Provably fair helpers
+  // The chain only depends on the secret, the table and the chain number, so a configured
+  // secret rebuilds the same chain after a restart. Without one a random secret is used,
+  // which cannot be rebuilt.
+  const chainSecret = fairnessOptions.secret || crypto.randomBytes(32).toString('hex');
+
+  function createChain(number = 0, used = 0) {
+    const seed = number === 0 ? `${chainSecret}:${id}` : `${chainSecret}:${id}:${number}`;
+    return provablyFair.createHashChain(seed, fairnessOptions.chainLength, used);
+  }
+
+  function startChain(number) {
+    chainNumber = number;
+    hashChain = createChain(number);
+    logger.info(`🔗 New seed chain of ${hashChain.length} seeds, head: ${hashChain.head}`);
+  }
+
+  // Continue the chain a snapshot was saved with. A chain that cannot be rebuilt (another
+  // or a random secret) is replaced by a new one.
+  function restoreChain(saved) {
+    if (fairnessOptions.mode !== 'derive' || !saved) {
+      return;
+    }
+    const chain = createChain(saved.number, saved.used);
+    if (chain.head !== saved.head) {
+      logger.warn(`⚠️ Saved seed chain ${saved.head} cannot be rebuilt from the secret, starting a new one`);
+      startChain(saved.number + 1);
+      return;
+    }
+    chainNumber = saved.number;
+    hashChain = chain;
+    logger.info(`🔗 Continuing seed chain ${chain.head} at seed ${chain.used()} of ${chain.length}`);
+  }
+
+  // Public view of the current round's fairness record. The server seed stays hidden
+  // until the round has crashed, whether or not sealed mode is on.
+  function fairnessFields() {
+    if (!roundFairness) {
+      return {};
+    }
+    const { serverSeed, ...published } = roundFairness;
+    const revealed = machine.phase !== 'betting' && machine.phase !== 'flying';
+    return {
+      fairness: {
+        ...published,
+        ...(revealed ? { serverSeed } : {})
+      }
+    };
+  }
+
+  // Build the fairness record for the current round and, in derive mode, replace
+  // crashPoint with the value derived from the seeds
+  function prepareFairness() {
+    roundFairness = null;
+
+    if (fairnessOptions.mode === 'derive') {
+      let link = hashChain.next();
+      if (!link) {
+        startChain(chainNumber + 1);
+        link = hashChain.next();
+      }
+      const derived = provablyFair.deriveCrashPoint(link.serverSeed, fairnessOptions.clientSeed, machine.round);
+      if (crashPoint !== derived) {
+        logger.info(`🎲 Derived crash point replaces the queued one`, { round: machine.round, derivedCrashPoint: derived, crashPoint });
+      }
+      crashPoint = derived;
+      roundMultipliers.set(machine.round, crashPoint);
+      roundFairness = {
+        round: machine.round,
+        serverSeed: link.serverSeed,
+        serverSeedHash: provablyFair.sha256(link.serverSeed),
+        clientSeed: fairnessOptions.clientSeed,
+        nonce: machine.round,
+        chainIndex: link.chainIndex,
+        chainHead: hashChain.head
+      };
+    } else if (fairnessOptions.mode === 'verify') {
+      // Kept until the round crashes: an interrupted round is replayed with the same seeds
+      const seeds = backendSeeds.get(machine.round);
+      if (!seeds) {
+        logger.warn(`⚠️ No seeds for round ${machine.round}, round cannot be verified`);
+        return;
+      }
+      roundFairness = {
+        round: machine.round,
+        serverSeed: seeds.serverSeed,
+        serverSeedHash: provablyFair.sha256(seeds.serverSeed),
+        clientSeed: seeds.clientSeed,
+        nonce: seeds.nonce
+      };
+    }
+  }
+
+  if (fairnessOptions.mode === 'derive') {
+    startChain(0);
+  }
+
+  // Views
+  function displayMultiplier() {
+    return machine.phase === 'flying' ? currentMultiplier : (publicCrashPoint() || 1.00);
+  }
+
+  function gameState() {
+    return {
+      tableId: id,
+      currentRound: machine.round,
+      gamePhase: machine.phase,
+      currentMultiplier: displayMultiplier(),
+      ...crashPointFields()
+    };
+  }
+
+  // Flight timeline: clients render the curve from the server start time, using
+  // serverTime (and time:sync) to correct for their clock offset
+  function flightTimeline() {
+    return {
+      startTime,
+      serverTime: clock.now(),
+      curve: curve.parameters(),
+      keyframeInterval: settings.keyframeInterval
+    };
+  }
+
+  function roundInfo() {
+    return {
+      tableId: id,
+      round: machine.round,
+      phase: machine.phase,
+      multiplier: displayMultiplier(),
+      ...crashPointFields()
+    };
+  }
+
+  // Everything a client needs when it joins the table: state, round info, the event
+  // of the current phase and the recent crash points
+  function sendStateTo(socket) {
+    logger.debug(`📤 Sending table state`, { socketId: socket.id, round: machine.round, phase: machine.phase });
+    socket.emit('game:snapshot', gameSnapshot());
+    socket.emit('game:state', gameState());
+    socket.emit('round:info', roundInfo());
+
+    // If currently in betting phase, send betting info
+    if (machine.phase === 'betting') {
+      const bettingInfo = {
+        tableId: id,
+        round: machine.round,
+        ...crashPointFields()
+      };
+      socket.emit('round:start', bettingInfo);
+    }
+
+    // If currently in flying phase, send flying info
+    if (machine.phase === 'flying') {
+      const flyingInfo = {
+        tableId: id,
+        round: machine.round,
+        multiplier: currentMultiplier,
+        ...flightTimeline(),
+        ...crashPointFields()
+      };
+      socket.emit('round:flying', flyingInfo);
+    }
+
+    // If currently crashed, send crash info
+    if (machine.phase === 'crashed') {
+      const crashInfo = {
+        tableId: id,
+        round: machine.round,
+        ...crashPointFields()
+      };
+      socket.emit('round:crash', crashInfo);
+    }
+
+    // Bets of the round so far; bets:live updates continue from there
+    if (roundBets.size > 0 && (machine.phase === 'betting' || machine.phase === 'flying')) {
+      socket.emit('bets:live', { tableId: id, ...currentBetsView() });
+    }
+
+    // Recent crash points for the history strip
+    socket.emit('history:snapshot', {
+      tableId: id,
+      rounds: roundHistory.recentCrashPoints(roundResults, historySnapshotSize)
+    });
+  }
+
+  function healthView(showSecrets) {
+    const roundMultiplier = getMultiplierForRound(machine.round);
+    const pending = pendingRounds();
+    return {
+      tableId: id,
+      gamePhase: machine.phase,
+      currentRound: machine.round,
+      queueSize: pending.length,
+      nextRound: pending.length > 0 ? pending[0] : null,
+      queueLevel,
+      currentMultiplier: machine.phase === 'flying' ? currentMultiplier : (showSecrets || isRoundRevealed(machine.round) ? roundMultiplier : null),
+      nextMultiplier: showSecrets && pending.length > 0 ? roundMultipliers.get(pending[0]) : null,
+      phaseDurations: {
+        betting: settings.bettingPhaseDuration,
+        wait: settings.waitPhaseDuration
+      },
+      settings: { ...settings },
+      pendingSettings,
+      storage: {
+        type: store.type,
+        completedRounds: roundResults.size,
+        retention: roundRetention
+      },
+      provablyFair: {
+        mode: fairnessOptions.mode,
+        chainHead: hashChain ? hashChain.head : null,
+        chainRemaining: hashChain ? hashChain.remaining() : null
+      }
+    };
+  }
+
+  function debugView(showSecrets, referenceRound = machine.round) {
+    const roundMultiplier = getMultiplierForRound(machine.round);
+
+    // Get the actual recent rounds (referenceRound-1 down to referenceRound-10)
+    const recentRounds = [];
+    for (let i = 1; i <= 10; i++) {
+      const roundNumber = referenceRound - i;
+      if (roundNumber > 0) {
+        const multiplier = roundMultipliers.get(roundNumber);
+        if (multiplier && (showSecrets || isRoundRevealed(roundNumber))) {
+          recentRounds.push([roundNumber, multiplier]);
+        }
+      }
+    }
+
+    return {
+      tableId: id,
+      gamePhase: machine.phase,
+      currentRound: machine.round,
+      queueSize: pendingRounds().length,
+      currentMultiplier: machine.phase === 'flying' ? currentMultiplier : (showSecrets || isRoundRevealed(machine.round) ? roundMultiplier : null),
+      crashPoint: showSecrets ? crashPoint : publicCrashPoint(),
+      queuePreview: showSecrets ? pendingRounds().slice(0, 5).map(round => roundMultipliers.get(round)) : [],
+      roundMultipliers: recentRounds, // Return actual recent rounds
+      activeTimers: machine.activeTimers()
+    };
+  }
+
+  // Everything a late joiner needs to render the current phase straight away: the phase
+  // deadline and time left (betting countdown, crashed → next round) or the flight time
+  // elapsed (curve position). Sent as game:snapshot and from /current-state.
+  function gameSnapshot() {
+    const now = clock.now();
+    const flying = machine.phase === 'flying' && startTime !== null;
+    return {
+      version: GAME_SNAPSHOT_VERSION,
+      tableId: id,
+      currentRound: machine.round,
+      gamePhase: machine.phase,
+      currentMultiplier: displayMultiplier(),
+      serverTime: now,
+      phaseStartedAt: machine.phaseStartedAt,
+      phaseEndsAt: machine.phaseEndsAt,
+      phaseRemainingMs: machine.phaseEndsAt !== null ? Math.max(0, machine.phaseEndsAt - now) : null,
+      flightStartedAt: flying ? startTime : null,
+      flightElapsedMs: flying ? now - startTime : null,
+      curve: curve.parameters(),
+      keyframeInterval: settings.keyframeInterval,
+      limits: limitsView(),
+      // Older field names, kept for existing /current-state clients
+      roundStartTime: flying ? startTime : null,
+      bettingEndTime: machine.phase === 'betting' ? machine.phaseEndsAt : null,
+      ...crashPointFields()
+    };
+  }
+
+  function testRoundView(round, showSecrets) {
+    const visible = (r) => showSecrets || isRoundRevealed(r);
+    const multiplier = visible(round) ? getMultiplierForRound(round) : null;
+    return {
+      tableId: id,
+      round,
+      multiplier,
+      hasMultiplier: roundMultipliers.has(round),
+      allRounds: Array.from(roundMultipliers.keys()).filter(visible).sort((a, b) => a - b),
+      recentRounds: Array.from(roundMultipliers.entries()).filter(([r]) => visible(r)).slice(-10)
+    };
+  }
+
+  // Provably fair verification of a crashed round: { status, body }
+  function verifyView(round) {
+    if (fairnessOptions.mode === 'off') {
+      return { status: 404, body: { error: 'Provably fair mode is disabled' } };
+    }
+
+    const result = roundResults.get(round);
+    const record = result && result.fairness;
+    if (!record) {
+      if (round === machine.round && (machine.phase === 'betting' || machine.phase === 'flying')) {
+        return { status: 409, body: { error: 'Round has not crashed yet', round, ...fairnessFields() } };
+      }
+      return { status: 404, body: { error: 'No fairness record for this round', round } };
+    }
+
+    const check = provablyFair.verifyRound(record);
+    return {
+      status: 200,
+      body: {
+        ...record,
+        valid: check.valid,
+        expectedCrashPoint: check.expectedCrashPoint,
+        errors: check.errors
+      }
+    };
+  }
+
+  // Multipliers from the backend: { status, body }. Rounds are keyed by number, so a batch
+  // sent twice never queues a round twice:
+  //   - same round, same multiplier      → duplicate, ignored
+  //   - queued round, another multiplier → conflict (409), or replaced in `overwrite` mode
+  //   - round in play, played or passed  → conflict (409) in either mode
+  // A batch is applied completely or not at all. With an idempotency key, a retried batch
+  // gets the stored response back, and reusing the key for another batch is a 409.
+  function enqueue(batch, { idempotencyKey = null } = {}) {
+    const fingerprint = idempotencyKey && multiplierBatch.batchFingerprint(batch);
+    if (idempotencyKey) {
+      const previous = idempotentBatches.get(idempotencyKey);
+      if (previous) {
+        if (previous.fingerprint !== fingerprint) {
+          return { status: 409, body: { error: 'Idempotency key already used for another batch', idempotencyKey } };
+        }
+        logger.info(`🔁 Replaying response for idempotency key ${idempotencyKey}`);
+        return { status: previous.status, body: previous.body, replayed: true };
+      }
+    }
+
+    const result = applyBatch(batch);
+    if (idempotencyKey) {
+      idempotentBatches.set(idempotencyKey, { fingerprint, status: result.status, body: result.body });
+      while (idempotentBatches.size > IDEMPOTENCY_KEYS_KEPT) {
+        idempotentBatches.delete(idempotentBatches.keys().next().value);
+      }
+    }
+    // One write for the queued rounds and the key (a refused batch only changes the keys)
+    if (result.status === 200 || idempotencyKey) {
+      persistState();
+    }
+    if (result.status === 200) {
+      checkQueueLevel();
+    }
+    return result;
+  }
+
+  // Validate and queue a batch; enqueue() persists the result
+  function applyBatch(batch) {
+    const parsed = multiplierBatch.parseBatch(batch, {
+      requireSeeds: fairnessOptions.mode === 'verify',
+      defaultMode: conflictMode
+    });
+    if (parsed.error) {
+      logger.warn(`❌ Rejected batch: ${parsed.error}`, parsed.errors ? { invalidItems: parsed.errors.length } : {});
+      return { status: 400, body: { error: parsed.error, ...(parsed.errors ? { errors: parsed.errors } : {}) } };
+    }
+    const { items, mode } = parsed;
+
+    const accepted = [];
+    const duplicates = [];
+    const overwritten = [];
+    const conflicts = [];
+    const inPlay = machine.phase === 'betting' || machine.phase === 'flying';
+    const first = firstOpenRound();
+    items.forEach(({ round, multiplier }) => {
+      const existing = roundMultipliers.get(round);
+      const played = roundResults.has(round);
+      if (existing === multiplier && (played || round >= first || (inPlay && round === machine.round))) {
+        duplicates.push(round);
+      } else if (played) {
+        conflicts.push({ round, reason: 'played', existing, received: multiplier });
+      } else if (inPlay && round === machine.round) {
+        conflicts.push({ round, reason: 'in_play', received: multiplier });
+      } else if (round < first) {
+        conflicts.push({ round, reason: 'passed', currentRound: machine.round, received: multiplier });
+      } else if (existing !== undefined && mode === 'reject') {
+        conflicts.push({ round, reason: 'queued', existing, received: multiplier });
+      } else if (existing !== undefined) {
+        overwritten.push(round);
+      } else {
+        accepted.push(round);
+      }
+    });
+
+    if (conflicts.length > 0) {
+      logger.warn(`❌ Rejected batch: ${conflicts.length} conflicting rounds`, { conflicts: conflicts.map(c => `${c.round}:${c.reason}`) });
+      return { status: 409, body: { error: 'Conflicting rounds', mode, conflicts } };
+    }
+
+    // Store multipliers with their round numbers
+    items.forEach(({ round, multiplier, seeds }) => {
+      if (duplicates.includes(round)) return;
+      roundMultipliers.set(round, multiplier);
+      if (fairnessOptions.mode === 'verify') {
+        backendSeeds.set(round, seeds);
+      }
+      logger.debug(`📋 Mapped round`, { round, multiplier, overwritten: overwritten.includes(round) });
+    });
+
+    const pending = pendingRounds();
+    logger.info(`📥 Queued ${accepted.length} rounds, ${overwritten.length} overwritten, ${duplicates.length} duplicates`, {
+      queueSize: pending.length,
+      firstRound: pending.length > 0 ? pending[0] : null,
+      lastRound: pending.length > 0 ? pending[pending.length - 1] : null
+    });
+
+    // Start simulation if it is idle (after a crash the wait timer starts the next round)
+    if (machine.phase === 'wait' && pending.length > 0) {
+      logger.info(`🚀 Starting simulation with ${pending.length} rounds in queue`);
+      startNextRound();
+    } else if (machine.phase !== 'wait') {
+      logger.debug(`⏳ Simulation already running (phase: ${machine.phase}), queue will be processed after current round`);
+    }
+
+    const queued = pendingRounds();
+    return {
+      status: 200,
+      body: {
+        success: true,
+        tableId: id,
+        accepted,
+        overwritten,
+        duplicates,
+        queueSize: queued.length,
+        nextRound: queued.length > 0 ? queued[0] : null
+      }
+    };
+  }
+
+  // Manual controls
+  function triggerNext() {
+    const queued = pendingRounds().length;
+    if ((machine.phase === 'wait' || machine.phase === 'crashed') && queued > 0) {
+      logger.info(`🔧 Manual trigger: Starting next round from phase ${machine.phase}`);
+      if (machine.phase === 'crashed') {
+        // Skip the rest of the wait; the crashed round is done
+        machine.transition('advance');
+      }
+      startNextRound();
+      return { success: true, message: 'Next round triggered' };
+    }
+    return { success: false, message: `Cannot trigger next round. Phase: ${machine.phase}, Queue: ${queued}` };
+  }
+
+  function forceStart() {
+    const inPlay = machine.phase === 'betting' || machine.phase === 'flying';
+    logger.info(`🔧 Force start: Current phase ${machine.phase}, queue size ${pendingRounds().length}`);
+
+    // A round in play is restarted, so it counts as queued
+    if (pendingRounds().length === 0 && !inPlay) {
+      return { success: false, message: 'No multipliers in queue' };
+    }
+
+    // Force transition to wait phase if needed: a crashed round is done, a round in play
+    // is abandoned and played again
+    if (machine.phase !== 'wait') {
+      logger.info(`🔄 Force transitioning from ${machine.phase} to wait phase`);
+      machine.transition(machine.phase === 'crashed' ? 'advance' : 'abort');
+    }
+
+    logger.info(`🚀 Force starting simulation from round ${pendingRounds()[0]}`);
+    startNextRound();
+
+    return {
+      success: true,
+      message: 'Simulation force started',
+      currentRound: machine.round,
+      gamePhase: machine.phase,
+      queueSize: pendingRounds().length
+    };
+  }
+
+  function reportIncident(type, details) {
+    const incident = { tableId: id, type, round: machine.round, phase: machine.phase, ...details };
+    logger.error(`🚨 Incident ${type}`, details);
+    if (onIncident) {
+      onIncident(incident);
+    }
+  }
+
+  // Phase-transition invariants, checked by the watchdog. Returns the violated ones:
+  //   - each timed phase has its timer (betting → bettingTimer, flying → simulationInterval
+  //     and safetyTimer, crashed → waitTimer), and wait has none
+  //   - no phase is still running `grace` ms after its deadline (for a flight: the time the
+  //     curve takes to reach the crash point)
+  //   - the loop does not sit in wait with rounds queued
+  function inspect(grace, now = clock.now()) {
+    if (!active) {
+      return [];
+    }
+    const problems = [];
+    const expectedTimers = {
+      wait: [],
+      betting: ['bettingTimer'],
+      flying: ['simulationInterval', 'safetyTimer'],
+      crashed: ['waitTimer']
+    }[machine.phase] || [];
+    const timers = machine.activeTimers();
+    ['bettingTimer', 'simulationInterval', 'safetyTimer', 'waitTimer'].forEach(name => {
+      if (expectedTimers.includes(name) && !timers.includes(name)) {
+        problems.push({ invariant: 'missing_timer', timer: name });
+      } else if (!expectedTimers.includes(name) && timers.includes(name)) {
+        problems.push({ invariant: 'unexpected_timer', timer: name });
+      }
+    });
+
+    const deadline = machine.phase === 'flying' && startTime && crashPoint ? startTime + curve.flightDuration(crashPoint) : machine.phaseEndsAt;
+    if (machine.phase !== 'wait' && deadline && now > deadline + grace) {
+      problems.push({ invariant: 'deadline_passed', deadline: new Date(deadline).toISOString(), overdueMs: now - deadline });
+    }
+    if (machine.phase === 'wait' && pendingRounds().length > 0) {
+      problems.push({ invariant: 'idle_with_queue', queueSize: pendingRounds().length });
+    }
+    return problems;
+  }
+
+  function recover() {
+    logger.info(`🔧 Recovery requested: Current phase ${machine.phase}, queue size ${pendingRounds().length}`);
+
+    // Force transition to crashed phase if in flying
+    if (machine.phase === 'flying') {
+      logger.info(`🔄 Force crashing round ${machine.round}`);
+      crashRound(true);
+      return { success: true, message: 'Forced crash and moving to next round' };
+    }
+
+    // Force transition to wait phase if in crashed
+    if (machine.phase === 'crashed') {
+      logger.info(`🔄 Force moving to next round from crashed phase`);
+      machine.transition('advance');
+
+      if (pendingRounds().length > 0) {
+        logger.info(`🚀 Starting next round with ${pendingRounds().length} rounds in queue`);
+        startNextRound();
+        return { success: true, message: 'Started next round' };
+      }
+      logger.info(`⏸️ No multipliers in queue, waiting for backend...`);
+      persistState();
+      return { success: true, message: 'Moved to wait phase, waiting for multipliers' };
+    }
+
+    // If in betting phase, force to flying
+    if (machine.phase === 'betting') {
+      logger.info(`🔄 Force starting flying phase`);
+      startFlyingPhase();
+      return { success: true, message: 'Forced flying phase start' };
+    }
+
+    // If in wait phase, try to start next round
+    if (machine.phase === 'wait') {
+      if (pendingRounds().length > 0) {
+        logger.info(`🚀 Starting next round with ${pendingRounds().length} rounds in queue`);
+        startNextRound();
+        return { success: true, message: 'Started next round' };
+      }
+      logger.info(`⏸️ No multipliers in queue, waiting for backend...`);
+      return { success: true, message: 'Waiting for multipliers from backend' };
+    }
+
+    return { success: false, message: 'Unknown game phase' };
+  }
+
+  // Bet handling. `name` is the display name to show in public events, null to stay anonymous.
+  function placeBet(playerId, data, name = null) {
+    const amount = data && Number(data.amount);
+    const hasAutoCashout = !!data && data.autoCashout !== undefined && data.autoCashout !== null;
+    const autoCashout = hasAutoCashout ? Math.round(Number(data.autoCashout) * 100) / 100 : null;
+
+    if (machine.phase !== 'betting') {
+      return { success: false, reason: 'betting_closed', tableId: id, round: machine.round, phase: machine.phase };
+    }
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return { success: false, reason: 'invalid_amount', tableId: id, round: machine.round };
+    }
+    const limitError = checkBetLimits(amount);
+    if (limitError) {
+      return { success: false, ...limitError, tableId: id, round: machine.round, amount };
+    }
+    if (hasAutoCashout && (!Number.isFinite(autoCashout) || autoCashout <= 1.00)) {
+      return { success: false, reason: 'invalid_auto_cashout', tableId: id, round: machine.round };
+    }
+    if (roundBets.has(playerId)) {
+      return { success: false, reason: 'already_bet', tableId: id, round: machine.round };
+    }
+
+    betCount++;
+    const bet = {
+      betId: betCount,
+      name,
+      amount,
+      autoCashout,
+      payoutCap: payoutCap(amount),
+      placedAt: clock.now(),
+      cashoutMultiplier: null,
+      payout: 0,
+      cashedOutAt: null,
+      autoCashedOut: false,
+      capped: null
+    };
+    roundBets.set(playerId, bet);
+    queueLiveBet('bets', { betId: bet.betId, player: name, amount, autoCashout });
+
+    logger.info(`🎰 Bet placed by ${playerId} for round ${machine.round}: ${amount}${autoCashout ? ` (auto ${autoCashout}x)` : ''}`);
+    return { success: true, tableId: id, round: machine.round, amount, autoCashout, payoutCap: bet.payoutCap };
+  }
+
+  // Multiplier at which a bet of `amount` reaches maxPayout (rounded down), null without a limit
+  function payoutCap(amount) {
+    return settings.maxPayout > 0 ? Math.floor(settings.maxPayout / amount * 100) / 100 : null;
+  }
+
+  // The limit a bet of `amount` breaks, as { reason, limit, ... } for the bet:place ack
+  function checkBetLimits(amount) {
+    if (settings.minBet > 0 && amount < settings.minBet) {
+      return { reason: 'below_min_bet', limit: settings.minBet };
+    }
+    if (settings.maxBet > 0 && amount > settings.maxBet) {
+      return { reason: 'above_max_bet', limit: settings.maxBet };
+    }
+    // The bet could not win anything before reaching maxPayout
+    if (settings.maxPayout > 0 && payoutCap(amount) <= 1.00) {
+      return { reason: 'above_max_payout', limit: settings.maxPayout };
+    }
+    // The round's stakes alone must stay below the exposure limit, so it is reached in flight
+    if (settings.maxRoundExposure > 0) {
+      const staked = roundTotals().totalWagered;
+      if (staked + amount >= settings.maxRoundExposure) {
+        return { reason: 'exposure_limit', limit: settings.maxRoundExposure, available: Math.max(0, Math.floor((settings.maxRoundExposure - staked) * 100 - 1) / 100) };
+      }
+    }
+    return null;
+  }
+
+  function cashOutBet(playerId) {
+    const bet = roundBets.get(playerId);
+
+    if (!bet) {
+      return { success: false, reason: 'no_bet', tableId: id, round: machine.round };
+    }
+    if (bet.cashoutMultiplier !== null) {
+      return { success: false, reason: 'already_cashed_out', tableId: id, round: machine.round };
+    }
+    if (machine.phase !== 'flying') {
+      return { success: false, reason: 'not_flying', tableId: id, round: machine.round, phase: machine.phase };
+    }
+
+    // Lock in the live multiplier from the simulation interval
+    lockCashout(bet, currentMultiplier);
+    queueLiveBet('cashouts', cashoutEntry(bet));
+
+    logger.info(`💰 ${playerId} cashed out round ${machine.round} at ${bet.cashoutMultiplier}x (${bet.payout})`);
+    return { success: true, tableId: id, round: machine.round, multiplier: bet.cashoutMultiplier, payout: bet.payout };
+  }
+
+  function lockCashout(bet, multiplier, auto = false, capped = null) {
+    bet.cashoutMultiplier = multiplier;
+    bet.autoCashedOut = auto;
+    bet.capped = capped;
+    bet.payout = Math.floor(bet.amount * multiplier * 100) / 100;
+    bet.cashedOutAt = clock.now();
+  }
+
+  // A cash-out in bets:live form
+  function cashoutEntry(bet) {
+    return { betId: bet.betId, player: bet.name, multiplier: bet.cashoutMultiplier, payout: bet.payout, auto: bet.autoCashedOut, capped: bet.capped };
+  }
+
+  // Cash out a bet for the server (auto-cashout target or limit) and tell the player
+  function serverCashout(playerId, bet, multiplier, capped = null) {
+    lockCashout(bet, multiplier, true, capped);
+    queueLiveBet('cashouts', cashoutEntry(bet));
+    logger.info(`🤖 ${capped ? `Cash-out at the ${capped} limit` : 'Auto cash-out'} for ${playerId} in round ${machine.round} at ${bet.cashoutMultiplier}x (${bet.payout})`);
+    emit('bet:auto-cashout', {
+      round: machine.round,
+      multiplier: bet.cashoutMultiplier,
+      payout: bet.payout,
+      reason: capped || 'target'
+    }, `user:${playerId}`); // Every socket of the player is in this room
+  }
+
+  // Where an open bet will be cashed out: its auto-cashout target or its payout cap,
+  // whichever comes first (null for neither)
+  function cashoutTarget(bet) {
+    const targets = [bet.autoCashout, bet.payoutCap].filter(target => target !== null);
+    return targets.length > 0 ? Math.min(...targets) : null;
+  }
+
+  // Cash out every open bet whose target (see cashoutTarget) is at or below `reached`, at
+  // exactly the target. A target equal to (or above) the crash point never wins: the round
+  // crashes at that value, so a tie always goes to the crash.
+  function processAutoCashouts(reached) {
+    roundBets.forEach((bet, playerId) => {
+      const target = bet.cashoutMultiplier === null ? cashoutTarget(bet) : null;
+      if (target === null || target > reached || !(target < crashPoint)) return;
+
+      const capped = bet.autoCashout !== null && bet.autoCashout <= target ? null : 'max_payout';
+      serverCashout(playerId, bet, target, capped);
+    });
+  }
+
+  // Multiplier at which the round's potential payout reaches maxRoundExposure (rounded
+  // down), or null without a limit or open bets. The potential payout at a multiplier is
+  // what is already paid plus every open bet cashed out there, or at its own target if
+  // that comes first.
+  function exposureCap() {
+    if (!(settings.maxRoundExposure > 0)) {
+      return null;
+    }
+    let fixed = 0; // Payouts that stop growing
+    let riding = 0; // Stakes that still grow with the multiplier
+    const targets = [];
+    roundBets.forEach(bet => {
+      if (bet.cashoutMultiplier !== null) {
+        fixed += bet.payout;
+        return;
+      }
+      riding += bet.amount;
+      const target = cashoutTarget(bet);
+      if (target !== null) {
+        targets.push({ target, amount: bet.amount });
+      }
+    });
+    targets.sort((a, b) => a.target - b.target);
+    for (const { target, amount } of targets) {
+      if (fixed + riding * target >= settings.maxRoundExposure) {
+        break;
+      }
+      fixed += amount * target;
+      riding -= amount;
+    }
+    return riding > 0 ? Math.floor((settings.maxRoundExposure - fixed) / riding * 100) / 100 : null;
+  }
+
+  // Cash-outs due once the flight has reached `reached`. When the round's potential payout
+  // reaches maxRoundExposure before that, every open bet is cashed out at that multiplier
+  // and round:cap-reached goes out. The flight itself goes on to the crash point.
+  function processCashouts(reached) {
+    const cap = exposureCap();
+    if (cap === null || cap > reached || !(cap < crashPoint)) {
+      processAutoCashouts(reached);
+      return;
+    }
+    processAutoCashouts(cap);
+    let cashedOut = 0;
+    roundBets.forEach((bet, playerId) => {
+      if (bet.cashoutMultiplier !== null) return;
+      serverCashout(playerId, bet, cap, 'exposure');
+      cashedOut++;
+    });
+    const { totalPaidOut } = roundTotals();
+    logger.warn(`🛑 Round ${machine.round} reached the exposure limit at ${cap}x, ${cashedOut} bets cashed out`, { limit: settings.maxRoundExposure, totalPaidOut });
+    emit('round:cap-reached', {
+      round: machine.round,
+      multiplier: cap,
+      limit: settings.maxRoundExposure,
+      cashedOut,
+      totalPaidOut
+    });
+  }
+
+  // Running totals of the current round, sent with every bets:live update
+  function roundTotals() {
+    const bets = Array.from(roundBets.values());
+    const cashedOut = bets.filter(bet => bet.cashoutMultiplier !== null);
+    return {
+      players: bets.length,
+      totalWagered: bets.reduce((sum, bet) => sum + bet.amount, 0),
+      cashedOut: cashedOut.length,
+      totalPaidOut: cashedOut.reduce((sum, bet) => sum + bet.payout, 0)
+    };
+  }
+
+  // Add a bet or cash-out to the next bets:live update, which goes out liveBetsInterval after
+  // the first change, so a busy round sends one update per interval instead of one per bet
+  function queueLiveBet(list, entry) {
+    if (liveBetsInterval <= 0) {
+      return;
+    }
+    if (!liveBets) {
+      liveBets = { round: machine.round, bets: [], cashouts: [], omitted: 0 };
+    }
+    if (liveBets.bets.length + liveBets.cashouts.length < LIVE_BETS_BATCH_MAX) {
+      liveBets[list].push(entry);
+    } else {
+      liveBets.omitted++;
+    }
+    if (!liveBetsTimer) {
+      liveBetsTimer = scheduler.setTimeout(flushLiveBets, liveBetsInterval);
+    }
+  }
+
+  // Every bet and cash-out of the round in bets:live form, for clients that join mid-round
+  function currentBetsView() {
+    const bets = Array.from(roundBets.values()).sort((a, b) => a.betId - b.betId);
+    const cashouts = bets.filter(bet => bet.cashoutMultiplier !== null).sort((a, b) => a.cashedOutAt - b.cashedOutAt);
+    const listed = Math.min(bets.length, LIVE_BETS_BATCH_MAX);
+    return {
+      round: machine.round,
+      bets: bets.slice(0, listed).map(bet => ({ betId: bet.betId, player: bet.name, amount: bet.amount, autoCashout: bet.autoCashout })),
+      cashouts: cashouts.slice(0, LIVE_BETS_BATCH_MAX - listed).map(cashoutEntry),
+      omitted: Math.max(0, bets.length + cashouts.length - LIVE_BETS_BATCH_MAX),
+      ...roundTotals()
+    };
+  }
+
+  function flushLiveBets() {
+    scheduler.clearTimeout(liveBetsTimer);
+    liveBetsTimer = null;
+    if (!liveBets) {
+      return;
+    }
+    const update = liveBets;
+    liveBets = null;
+    emit('bets:live', { ...update, ...(update.round === machine.round ? roundTotals() : {}) });
+  }
+
+  // round:summary of a crashed round: totals and the biggest winners by payout
+  function roundSummary() {
+    const bets = Array.from(roundBets.values());
+    const winners = bets.filter(bet => bet.cashoutMultiplier !== null);
+    return {
+      round: machine.round,
+      crashPoint,
+      ...roundTotals(),
+      winners: winners.length,
+      topWinners: winners
+        .sort((a, b) => b.payout - a.payout || a.cashedOutAt - b.cashedOutAt)
+        .slice(0, summaryTopWinners)
+        .map(bet => ({ player: bet.name, amount: bet.amount, multiplier: bet.cashoutMultiplier, payout: bet.payout }))
+    };
+  }
+
+  function recordWinners() {
+    roundBets.forEach(bet => {
+      if (bet.cashoutMultiplier === null) return;
+      leaderboard.record({
+        player: bet.name,
+        round: machine.round,
+        amount: bet.amount,
+        multiplier: bet.cashoutMultiplier,
+        payout: bet.payout,
+        at: bet.cashedOutAt
+      });
+    });
+  }
+
+  function leaderboardView(window = leaderboard.windows[0], limit = leaderboard.size) {
+    const view = leaderboard.view(window, limit);
+    return view && { tableId: id, windows: leaderboard.windows, ...view };
+  }
+
+  // Settle every bet of the round. Open bets lose, unless the round was voided (abandoned
+  // before crashing) or force-crashed, in which case they are refunded. The table gets the settlement with
+  // public names only (like round:summary), each player their own result (bet:settlement) and
+  // admins the settlement with user ids (admin:settlement).
+  function settleRound(voided = false, forced = false) {
+    const results = Array.from(roundBets.entries()).map(([playerId, bet]) => {
+      let result = 'lost';
+      if (voided) {
+        result = 'refunded';
+      } else if (bet.cashoutMultiplier !== null) {
+        result = 'won';
+      } else if (forced) {
+        result = 'refunded';
+      }
+      return {
+        playerId,
+        betId: bet.betId,
+        player: bet.name,
+        amount: bet.amount,
+        cashoutMultiplier: bet.cashoutMultiplier,
+        payout: result === 'refunded' ? bet.amount : bet.payout,
+        capped: voided ? null : bet.capped,
+        result
+      };
+    });
+    roundBets = new Map();
+    betCount = 0;
+
+    const summary = {
+      round: machine.round,
+      crashPoint: voided ? null : crashPoint,
+      voided,
+      forced,
+      totalBets: results.length,
+      totalWagered: results.reduce((sum, bet) => sum + bet.amount, 0),
+      totalPaidOut: results.reduce((sum, bet) => sum + bet.payout, 0),
+      winners: results.filter(bet => bet.result === 'won').length
+    };
+
+    logger.info(`🧾 Round ${machine.round} settled: ${summary.totalBets} bets, ${summary.winners} winners${voided ? ' (voided)' : ''}`);
+    emit('round:settlement', { ...summary, bets: results.map(({ playerId, ...bet }) => bet) });
+    results.forEach(({ playerId, player, ...bet }) => {
+      emit('bet:settlement', { round: machine.round, crashPoint: summary.crashPoint, voided, forced, ...bet }, `user:${playerId}`);
+    });
+    if (results.length > 0) {
+      emit('admin:settlement', { ...summary, bets: results }, ADMIN_ROOM);
+    }
+    return { ...summary, bets: results };
+  }
+
+  // What clients need to know about the settings (config:update)
+  function settingsView() {
+    return {
+      bettingPhaseDuration: settings.bettingPhaseDuration,
+      waitPhaseDuration: settings.waitPhaseDuration,
+      multiplierUpdateInterval: settings.multiplierUpdateInterval,
+      keyframeInterval: settings.keyframeInterval,
+      curve: curve.parameters(),
+      limits: limitsView()
+    };
+  }
+
+  // Bet limits for clients, null where there is none
+  function limitsView() {
+    const limit = value => (value > 0 ? value : null);
+    return {
+      minBet: limit(settings.minBet),
+      maxBet: limit(settings.maxBet),
+      maxPayout: limit(settings.maxPayout)
+    };
+  }
+
+  function configView() {
+    return {
+      tableId: id,
+      settings: { ...settings },
+      pending: pendingSettings ? { ...pendingSettings } : null
+    };
+  }
+
+  // Queue validated setting changes (PUT /admin/config) for the next round boundary
+  function updateSettings(changes) {
+    pendingSettings = { ...pendingSettings, ...changes };
+    logger.info(`⚙️ Settings change queued for the next round`, { changes });
+    return configView();
+  }
+
+  function applyPendingSettings(round) {
+    if (!pendingSettings) {
+      return;
+    }
+    settings = { ...settings, ...pendingSettings };
+    curve = createCurve(curveOptions(settings));
+    pendingSettings = null;
+    logger.info(`⚙️ New settings from round ${round}`, settings);
+    emit('config:update', { round, ...settingsView() });
+  }
+
+  // Game simulation functions
+  function startNextRound() {
+    const next = pendingRounds()[0];
+    if (next === undefined) {
+      logger.info('⏸️ No multipliers in queue, pausing simulation');
+      checkQueueLevel();
+      return;
+    }
+
+    // Play the lowest queued round; a missing round number is a gap in the backend's feed
+    if (next !== machine.round) {
+      if (machine.round === 0) {
+        logger.info(`🎯 First round: ${next}`);
+      } else {
+        logger.info(`🔍 Gap detected: no multiplier for round ${machine.round}, jumping to ${next}`);
+      }
+    }
+
+    // Settings changed since the last round take effect now
+    applyPendingSettings(next);
+
+    // Start betting phase
+    machine.transition('start', { round: next, duration: settings.bettingPhaseDuration });
+    bettingStartTime = machine.phaseStartedAt;
+    startTime = null;
+    crashPoint = roundMultipliers.get(machine.round);
+    currentMultiplier = 1.00;
+
+    logger.info(`🎮 Starting round ${machine.round}`, { crashPoint });
+
+    // Refund bets of a round that was abandoned before it crashed
+    flushLiveBets();
+    if (roundBets.size > 0) {
+      settleRound(true);
+    }
+
+    // Fix the provably fair inputs (derive mode may replace crashPoint here)
+    prepareFairness();
+
+    // Commit to the crash point before anything is published
+    sealRound();
+
+    persistState();
+    logger.debug(`🎯 Emitting round:start with round ${machine.round}`);
+    emit('round:start', {
+      round: machine.round,
+      ...crashPointFields()
+    });
+    checkQueueLevel();
+
+    // Transition to flying phase after betting duration
+    machine.after('bettingTimer', settings.bettingPhaseDuration, startFlyingPhase);
+  }
+
+  function startFlyingPhase() {
+    machine.transition('fly');
+    currentMultiplier = 1.00;
+
+    // Validate crash point
+    if (!crashPoint || crashPoint <= 1.00) {
+      logger.error(`❌ Invalid crash point, forcing crash`, { round: machine.round, crashPoint });
+      crashRound(true);
+      return;
+    }
+
+    logger.info(`✈️ Starting flying phase for round ${machine.round}`, { crashPoint });
+
+    // Record start time for animation
+    startTime = machine.phaseStartedAt;
+    persistState();
+
+    // Emit flying phase event to notify clients; it carries everything needed to render the flight
+    emit('round:flying', {
+      round: machine.round,
+      multiplier: currentMultiplier,
+      ...flightTimeline(),
+      ...crashPointFields()
+    });
+
+    const timeToCrash = curve.estimateTimeToMultiplier(crashPoint);
+
+    // Add safety check for infinite or invalid time
+    if (!timeToCrash || timeToCrash <= 0 || timeToCrash > 300) { // Max 5 minutes
+      logger.error(`❌ Invalid time to crash: ${timeToCrash}, forcing crash`);
+      crashRound(true);
+      return;
+    }
+
+    logger.debug(`⏱️ Animation duration: ${timeToCrash.toFixed(1)} seconds`);
+
+    // The flight ends when the curve reaches the crash point
+    const crashAfterMs = curve.flightDuration(crashPoint);
+
+    // Add safety timeout to prevent infinite flying phase
+    machine.after('safetyTimer', Math.min(crashAfterMs * 1.5 + 1000, 300000), () => { // 1.5x the flight plus a second, or 5 minutes max
+      logger.error(`⚠️ Safety timeout reached for round ${machine.round}, forcing crash`);
+      crashRound(true);
+    });
+
+    // The server ticks every multiplierUpdateInterval to settle auto-cashouts and detect the
+    // crash, but only sends a keyframe every keyframeInterval; clients render in between
+    let lastKeyframeAt = startTime;
+
+    machine.every('simulationInterval', settings.multiplierUpdateInterval, () => { // Fixed update interval for smoothness
+      const now = clock.now();
+      const elapsedMs = now - startTime;
+      const progress = Math.min(1, elapsedMs / crashAfterMs);
+
+      // Current multiplier on the shared curve, capped at the crash point
+      currentMultiplier = progress >= 1.0 ? crashPoint : Math.min(curve.multiplierAtElapsed(elapsedMs), crashPoint);
+
+      // Settle auto-cashouts and limits reached on this tick before anything else can end the round
+      processCashouts(currentMultiplier);
+
+      if (settings.keyframeInterval > 0 && now - lastKeyframeAt >= settings.keyframeInterval) {
+        emit('multiplier:update', {
+          round: machine.round,
+          multiplier: currentMultiplier,
+          elapsed: elapsedMs,
+          serverTime: now
+        });
+        lastKeyframeAt = now;
+      }
+
+      // Debug: Log smooth progression updates
+      if (currentMultiplier >= 1.0) {
+        tickLogger.debug(`📊 Flight progress ${(progress * 100).toFixed(0)}%`, { multiplier: currentMultiplier, crashPoint });
+      }
+
+      // Check if crashed (NO randomness for consistency)
+      if (progress >= 1.0 || currentMultiplier >= crashPoint) {
+        logger.debug(`🎯 Animation complete at ${(progress * 100).toFixed(1)}% progress`, { multiplier: currentMultiplier, crashPoint });
+        crashRound();
+      }
+    });
+  }
+
+  // `forced` for crashes that cut the flight short (recovery, safety timeout, invalid flight)
+  function crashRound(forced = false) {
+    // Targets (and limits) below the crash point win, even if the last tick jumped past them.
+    // A forced crash only pays what the flight reached; the bets still open are refunded.
+    processCashouts(forced ? currentMultiplier : crashPoint);
+
+    // Ends the flight: its tick interval and safety timeout are cancelled
+    machine.transition('crash', { duration: settings.waitPhaseDuration, details: { crashPoint } });
+    currentMultiplier = crashPoint;
+
+    // Store the crash point in roundMultipliers for recent multipliers display
+    roundMultipliers.set(machine.round, crashPoint);
+
+    // Record the result; the seeds of a crashed round can now be verified
+    const crashedAt = machine.phaseStartedAt;
+    roundResults.set(machine.round, {
+      round: machine.round,
+      crashPoint,
+      bettingStartedAt: bettingStartTime,
+      flyingStartedAt: startTime,
+      crashedAt,
+      fairness: roundFairness ? { ...roundFairness, crashPoint, crashedAt } : null
+    });
+    backendSeeds.delete(machine.round);
+    pruneHistory();
+
+    logger.info(`💥 Round ${machine.round} crashed at ${crashPoint}x`);
+
+    // Cash-outs of the flight go out before the crash
+    flushLiveBets();
+
+    // Emit crash event
+    emit('round:crash', {
+      round: machine.round,
+      ...crashPointFields()
+    });
+
+    // Open bets are lost now that the round has crashed
+    const summary = roundSummary();
+    recordWinners();
+    settleRound(false, forced);
+    emit('round:summary', summary);
+    persistState();
+
+    // Start wait phase
+    machine.after('waitTimer', settings.waitPhaseDuration, () => {
+      logger.debug(`⏭️ Moving to next round...`);
+      // Back to the wait phase with the next round in sequence
+      machine.transition('advance');
+      // Check if we have multipliers to start the next round
+      if (pendingRounds().length > 0) {
+        logger.info(`🚀 Starting next round with ${pendingRounds().length} rounds in queue`);
+        startNextRound();
+      } else {
+        logger.info(`⏸️ No multipliers in queue, waiting for backend...`);
+        persistState();
+      }
+    });
+  }
+
+  // Persistence
+  function snapshot() {
+    return {
+      currentRound: machine.round,
+      gamePhase: machine.phase,
+      crashPoint,
+      roundMultipliers: Array.from(roundMultipliers.entries()),
+      roundResults: Array.from(roundResults.values()),
+      idempotencyKeys: Array.from(idempotentBatches.entries()),
+      backendSeeds: Array.from(backendSeeds.entries()),
+      leaderboard: leaderboard.exportState(),
+      seedChain: hashChain ? { number: chainNumber, head: hashChain.head, used: hashChain.used() } : null
+    };
+  }
+
+  // Replicas never write: the leader owns the stored state
+  function persistState() {
+    if (!active) {
+      return;
+    }
+    try {
+      store.save(snapshot());
+    } catch (error) {
+      logger.error(`❌ Failed to persist game state`, { error });
+    }
+    if (onStateChange) {
+      onStateChange(exportState());
+    }
+  }
+
+  // Drop completed rounds beyond the retention limit. Queued (future) rounds are kept.
+  function pruneHistory() {
+    const oldestKept = machine.round - roundRetention;
+    for (const round of roundMultipliers.keys()) {
+      if (round <= oldestKept) {
+        roundMultipliers.delete(round);
+      }
+    }
+    for (const round of backendSeeds.keys()) {
+      if (round <= oldestKept) {
+        backendSeeds.delete(round);
+      }
+    }
+    while (roundResults.size > roundRetention) {
+      roundResults.delete(roundResults.keys().next().value);
+    }
+  }
+
+  function loadSnapshot() {
+    try {
+      return store.load();
+    } catch (error) {
+      logger.error(`❌ Failed to load game state, starting fresh`, { error });
+      return null;
+    }
+  }
+
+  function restoreCollections(saved) {
+    roundMultipliers = new Map(saved.roundMultipliers || []);
+    roundResults.clear();
+    (saved.roundResults || []).forEach(result => roundResults.set(result.round, result));
+    idempotentBatches.clear();
+    (saved.idempotencyKeys || []).forEach(([key, entry]) => idempotentBatches.set(key, entry));
+    backendSeeds.clear();
+    (saved.backendSeeds || []).forEach(([round, seeds]) => backendSeeds.set(round, seeds));
+    leaderboard.importState(saved.leaderboard);
+  }
+
+  // Apply a snapshot. A round that was interrupted before crashing is replayed with the
+  // same crash point: it has not been played, so it is still the first queued round.
+  // A round that had crashed is done, so the game resumes from the next one.
+  function applySnapshot(saved) {
+    restoreCollections(saved);
+    restoreChain(saved.seedChain);
+    const round = saved.currentRound || 0;
+
+    if (saved.gamePhase === 'betting' || saved.gamePhase === 'flying') {
+      if (saved.crashPoint) {
+        roundMultipliers.set(round, saved.crashPoint);
+      }
+      logger.info(`💾 Round ${round} was interrupted during ${saved.gamePhase}, it will be replayed`);
+    }
+    machine.restore({ phase: 'wait', round: saved.gamePhase === 'crashed' ? round + 1 : round });
+    crashPoint = null;
+    currentMultiplier = 1.00;
+    roundSeed = null;
+    roundCommitment = null;
+    roundFairness = null;
+    pruneHistory();
+
+    logger.info(`💾 Restored game state: round ${machine.round}, ${pendingRounds().length} queued, ${roundResults.size} completed rounds`);
+  }
+
+  // Restore the last snapshot from storage
+  function restoreState() {
+    const saved = loadSnapshot();
+    if (!saved) {
+      logger.info(`💾 No saved game state (${store.type} storage)`);
+      return;
+    }
+    applySnapshot(saved);
+  }
+
+  // Resume the game loop if the restored queue has rounds to play
+  function resume() {
+    if (pendingRounds().length > 0) {
+      logger.info(`🚀 Resuming simulation from round ${pendingRounds()[0]}`);
+      startNextRound();
+    }
+  }
+
+  // Cleanup function
+  function stop() {
+    machine.cancelTimers();
+    flushLiveBets();
+    persistState();
+  }
+
+  // Replication. The exported state is the stored snapshot plus the live fields of the
+  // round in progress, so a replica can serve the same views as the leader.
+  function exportState() {
+    return {
+      ...snapshot(),
+      currentMultiplier,
+      roundSeed,
+      roundCommitment,
+      roundFairness,
+      bettingStartTime,
+      startTime,
+      phaseStartedAt: machine.phaseStartedAt,
+      phaseEndsAt: machine.phaseEndsAt,
+      settings,
+      pendingSettings,
+      savedAt: clock.now()
+    };
+  }
+
+  function importState(state) {
+    if (active) {
+      return;
+    }
+    replicatedState = state;
+    restoreCollections(state);
+    // Mirrors the leader's phase without logging it: the leader's log has the transitions
+    machine.restore({
+      phase: state.gamePhase || 'wait',
+      round: state.currentRound || 0,
+      phaseStartedAt: state.phaseStartedAt || null,
+      phaseEndsAt: state.phaseEndsAt || null
+    }, { recordEvent: false });
+    crashPoint = state.crashPoint || null;
+    currentMultiplier = state.currentMultiplier || 1.00;
+    roundSeed = state.roundSeed || null;
+    roundCommitment = state.roundCommitment || null;
+    roundFairness = state.roundFairness || null;
+    bettingStartTime = state.bettingStartTime || null;
+    startTime = state.startTime || null;
+    // The leader's settings, kept if this table is promoted
+    if (state.settings) {
+      settings = state.settings;
+      curve = createCurve(curveOptions(settings));
+    }
+    pendingSettings = state.pendingSettings || null;
+  }
+
+  // Deliver an event the leader sent to this table's clients connected here
+  function relay(event, message, to = null) {
+    if (active) {
+      return;
+    }
+    if (event === 'multiplier:update') {
+      currentMultiplier = message.multiplier;
+    }
+    io.to(to || room).emit(event, message);
+  }
+
+  // Take over the game loop from the newest known state: the stored snapshot or the
+  // last state replicated from the previous leader, whichever was saved later
+  function promote() {
+    if (active) {
+      return;
+    }
+    const saved = loadSnapshot();
+    const latest = [saved, replicatedState]
+      .filter(Boolean)
+      .sort((a, b) => (b.savedAt || 0) - (a.savedAt || 0))[0];
+
+    active = true;
+    replicatedState = null;
+    if (latest) {
+      applySnapshot(latest);
+    } else {
+      logger.info(`💾 No saved or replicated game state`);
+    }
+    logger.info(`👑 Table is now running the game loop`);
+    persistState();
+    resume();
+  }
+
+  // Stop running the game loop without touching storage; the new leader takes over
+  // from the last persisted state and replays an interrupted round. The bets of that round
+  // are refunded here, like those of any abandoned round: the new leader never saw them.
+  function demote() {
+    if (!active) {
+      return;
+    }
+    machine.cancelTimers();
+    flushLiveBets();
+    if (roundBets.size > 0) {
+      logger.warn(`⚠️ ${roundBets.size} open bets of round ${machine.round} refunded on demotion`);
+      settleRound(true);
+    }
+    active = false;
+    logger.info(`🪞 Table is now a replica`);
+  }
+
+  return {
+    id,
+    room,
+    get currentRound() { return machine.round; },
+    get gamePhase() { return machine.phase; },
+    get roundResults() { return roundResults; },
+    get active() { return active; },
+    gameState,
+    queueStatus,
+    roundInfo,
+    sendStateTo,
+    healthView,
+    debugView,
+    gameSnapshot,
+    testRoundView,
+    verifyView,
+    enqueue,
+    triggerNext,
+    forceStart,
+    recover,
+    inspect,
+    eventLog: machine.eventLog,
+    configView,
+    updateSettings,
+    leaderboardView,
+    placeBet,
+    cashOutBet,
+    restoreState,
+    resume,
+    stop,
+    exportState,
+    importState,
+    relay,
+    promote,
+    demote
+  };
+}
+
+module.exports = { createTable, ADMIN_ROOM };
@@ -0,0 +1,124 @@
+// Leaderboard
+//
+// Biggest wins (payout) and highest cash-out multipliers of a table over sliding windows,
+// e.g. the last hour, day and week (`all` for all time). Each window keeps its wins in
+// BUCKETS time buckets, and only the best `size` of each bucket per category, so memory stays
+// bounded however many bets are won. A window's start is therefore accurate to one bucket
+// (1/BUCKETS of the window).
+
+const BUCKETS = 24;
+const CATEGORIES = { biggestWins: 'payout', highestMultipliers: 'multiplier' };
+const UNITS = { m: 60000, h: 3600000, d: 86400000 };
+
+// "1h,24h,7d,all" -> [{ name, ms }]; throws on anything else
+function parseWindows(value) {
+  const windows = String(value).split(',').map(entry => entry.trim()).filter(Boolean).map(name => {
+    if (name === 'all') {
+      return { name, ms: Infinity };
+    }
+    const match = /^(\d+)([mhd])$/.exec(name);
+    if (!match || Number(match[1]) === 0) {
+      throw new Error(`Invalid leaderboard window ${name}: use minutes, hours or days (e.g. 30m, 24h, 7d) or all`);
+    }
+    return { name, ms: Number(match[1]) * UNITS[match[2]] };
+  });
+  if (windows.length === 0) {
+    throw new Error('At least one leaderboard window is needed');
+  }
+  return windows;
+}
+
+// Best first; on a tie the earlier win ranks higher
+function insertRanked(list, entry, field, size) {
+  list.push(entry);
+  list.sort((a, b) => b[field] - a[field] || a.at - b.at);
+  if (list.length > size) {
+    list.length = size;
+  }
+}
+
+function createLeaderboard({ windows, size = 10, clock = { now: () => Date.now() } }) {
+  // name -> { ms, bucketMs, buckets: Map(bucketStart -> { biggestWins, highestMultipliers }) }
+  const state = new Map(windows.map(window => [window.name, {
+    ms: window.ms,
+    bucketMs: window.ms === Infinity ? Infinity : window.ms / BUCKETS,
+    buckets: new Map()
+  }]));
+
+  function bucketStart(window, at) {
+    return window.bucketMs === Infinity ? 0 : Math.floor(at / window.bucketMs) * window.bucketMs;
+  }
+
+  // Forget buckets that ended before the window
+  function prune(window, now) {
+    window.buckets.forEach((bucket, start) => {
+      if (start + window.bucketMs <= now - window.ms) {
+        window.buckets.delete(start);
+      }
+    });
+  }
+
+  // A won bet: { player, round, amount, multiplier, payout, at }
+  function record(win) {
+    const now = clock.now();
+    state.forEach(window => {
+      const start = bucketStart(window, win.at);
+      if (!window.buckets.has(start)) {
+        window.buckets.set(start, { biggestWins: [], highestMultipliers: [] });
+      }
+      const bucket = window.buckets.get(start);
+      Object.entries(CATEGORIES).forEach(([category, field]) => insertRanked(bucket[category], win, field, size));
+      prune(window, now);
+    });
+  }
+
+  // Top `limit` of a window, or null for an unknown window
+  function view(name, limit = size) {
+    const window = state.get(name);
+    if (!window) {
+      return null;
+    }
+    const now = clock.now();
+    prune(window, now);
+    const result = {
+      window: name,
+      from: window.ms === Infinity ? null : new Date(now - window.ms).toISOString()
+    };
+    Object.entries(CATEGORIES).forEach(([category, field]) => {
+      const merged = [];
+      window.buckets.forEach(bucket => bucket[category].forEach(entry => insertRanked(merged, entry, field, limit)));
+      result[category] = merged.map(entry => ({ ...entry, at: new Date(entry.at).toISOString() }));
+    });
+    return result;
+  }
+
+  // Persistence, with the table snapshot
+  function exportState() {
+    const saved = {};
+    state.forEach((window, name) => {
+      saved[name] = Array.from(window.buckets.entries());
+    });
+    return saved;
+  }
+
+  // Windows that are no longer configured are dropped, new ones start empty
+  function importState(saved) {
+    state.forEach((window, name) => {
+      window.buckets = new Map((saved && saved[name]) || []);
+    });
+  }
+
+  return {
+    windows: windows.map(window => window.name),
+    size,
+    record,
+    view,
+    exportState,
+    importState
+  };
+}
+
+module.exports = {
+  parseWindows,
+  createLeaderboard
+};
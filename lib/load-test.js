@@ -0,0 +1,661 @@
+// Load test: simulated players against a running server
+//
+//   npm run load-test -- --clients 2000 --jitter 20000 --duration 120 --bet-rate 0.3
+//
+// Each player opens its own Socket.IO connection at a random time within `jitter` ms, follows
+// the rounds of one table and, with --bet-rate, bets in a share of them and cashes out
+// (auto-cashout or bet:cashout at a random target). The load test keeps the table's queue
+// filled itself through POST /queue, so no backend is needed.
+//
+// Recorded per event: delivery latency (the event's serverTime against its arrival, corrected
+// by each client's time:sync offset), keyframes missing from or out of order in a flight,
+// disconnects and reconnects, and bet and cash-out results. The summary report is written as
+// JSON (--report).
+
+const fs = require('fs');
+const { monitorEventLoopDelay } = require('perf_hooks');
+const { io: connectClient } = require('socket.io-client');
+const { signToken } = require('./player-auth');
+
+const OPTIONS = {
+  url: { type: 'string', default: null, description: 'Server URL (default http://localhost:$SOCKET_PORT)' },
+  table: { type: 'string', default: 'main', description: 'Table the players join' },
+  clients: { type: 'integer', min: 1, max: 100000, default: 100, description: 'Simulated players' },
+  jitter: { type: 'integer', min: 0, max: 3600000, default: 5000, description: 'Players connect at random times within this many ms' },
+  duration: { type: 'integer', min: 1, max: 86400, default: 60, description: 'Seconds the test runs, connecting included' },
+  betRate: { type: 'number', min: 0, max: 1, default: 0, description: 'Share of rounds a player bets in' },
+  betAmount: { type: 'number', min: 0.01, max: 1000000000, default: 10, description: 'Amount of each bet' },
+  autoCashoutRate: { type: 'number', min: 0, max: 1, default: 0.5, description: 'Share of bets using autoCashout instead of bet:cashout' },
+  maxCashout: { type: 'number', min: 1.02, max: 1000, default: 3, description: 'Cash-out targets are picked between 1.01 and this' },
+  dropRate: { type: 'number', min: 0, max: 1, default: 0, description: 'Share of players that drop their connection once and reconnect' },
+  queue: { type: 'boolean', default: true, description: 'Push multiplier batches to /queue (--no-queue to leave it to a backend)' },
+  queueBatch: { type: 'integer', min: 1, max: 1000, default: 10, description: 'Rounds per batch' },
+  maxMultiplier: { type: 'number', min: 1.01, max: 1000000, default: 10, description: 'Highest queued crash point' },
+  secret: { type: 'string', default: null, description: 'API key for /queue (default $SOCKET_SERVER_SECRET)' },
+  tokenSecret: { type: 'string', default: null, description: 'Signs player tokens (default $PLAYER_TOKEN_SECRET)' },
+  report: { type: 'string', default: 'load-test-report.json', description: 'Report file, - for stdout' }
+};
+
+// Latencies are kept in 1 ms buckets; slower events land in the last one
+const HISTOGRAM_MAX_MS = 60000;
+const PROGRESS_INTERVAL = 5000;
+const TIME_SYNC_SAMPLES = 3;
+// Time the server gets to see the players leave before the final /health
+const SETTLE_DELAY = 1000;
+
+function optionFlag(name) {
+  return `--${name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+}
+
+function usage() {
+  const lines = Object.entries(OPTIONS).map(([name, option]) => {
+    const value = option.type === 'boolean' ? '' : ` <${option.type}>`;
+    const fallback = option.default === null ? '' : ` (default ${option.default})`;
+    return `  ${`${optionFlag(name)}${value}`.padEnd(30)} ${option.description}${fallback}`;
+  });
+  return `Usage: node lib/load-test.js [options]\n${lines.join('\n')}`;
+}
+
+// --name value, --name=value, and --no-name for booleans. Returns { options, errors }.
+function parseArgs(argv, env = {}) {
+  const byFlag = new Map(Object.keys(OPTIONS).map(name => [optionFlag(name), name]));
+  const options = {};
+  const errors = [];
+  Object.entries(OPTIONS).forEach(([name, option]) => {
+    options[name] = option.default;
+  });
+
+  for (let index = 0; index < argv.length; index++) {
+    const [flag, inline] = argv[index].split(/=(.*)/s);
+    const negated = flag.startsWith('--no-') && byFlag.has(`--${flag.slice(5)}`);
+    const name = negated ? byFlag.get(`--${flag.slice(5)}`) : byFlag.get(flag);
+    const option = OPTIONS[name];
+    if (!option) {
+      errors.push(flag.startsWith('--') ? `Unknown option ${flag}` : `Unexpected argument ${flag}`);
+      continue;
+    }
+    if (option.type === 'boolean') {
+      options[name] = !negated;
+      continue;
+    }
+    const raw = inline !== undefined ? inline : argv[++index];
+    if (raw === undefined) {
+      errors.push(`${flag} needs a value`);
+      continue;
+    }
+    if (option.type === 'string') {
+      options[name] = raw;
+      continue;
+    }
+    const value = Number(raw);
+    if (!Number.isFinite(value) || (option.type === 'integer' && !Number.isInteger(value))) {
+      errors.push(`${flag} must be ${option.type === 'integer' ? 'an integer' : 'a number'}`);
+    } else if (value < option.min || value > option.max) {
+      errors.push(`${flag} must be between ${option.min} and ${option.max}`);
+    } else {
+      options[name] = value;
+    }
+  }
+
+  options.url = (options.url || `http://localhost:${env.SOCKET_PORT || 3001}`).replace(/\/$/, '');
+  options.secret = options.secret || env.SOCKET_SERVER_SECRET || 'your-secret-token';
+  options.tokenSecret = options.tokenSecret || env.PLAYER_TOKEN_SECRET || null;
+  return { options, errors };
+}
+
+// Millisecond histogram: { count, min, mean, p50, p90, p95, p99, max }
+function createHistogram() {
+  const buckets = new Uint32Array(HISTOGRAM_MAX_MS + 1);
+  let count = 0;
+  let sum = 0;
+  let min = Infinity;
+  let max = -Infinity;
+
+  function record(ms) {
+    const value = Math.max(0, ms);
+    buckets[Math.min(HISTOGRAM_MAX_MS, Math.round(value))]++;
+    count++;
+    sum += value;
+    min = Math.min(min, value);
+    max = Math.max(max, value);
+  }
+
+  function percentile(p) {
+    const rank = Math.ceil(count * p / 100);
+    let seen = 0;
+    for (let ms = 0; ms <= HISTOGRAM_MAX_MS; ms++) {
+      seen += buckets[ms];
+      if (seen >= rank) {
+        return ms;
+      }
+    }
+    return HISTOGRAM_MAX_MS;
+  }
+
+  function summary() {
+    if (count === 0) {
+      return { count: 0 };
+    }
+    const round = (value) => Math.round(value * 10) / 10;
+    // Buckets are rounded to the millisecond, the extremes are exact
+    const at = (p) => Math.min(round(max), Math.max(round(min), percentile(p)));
+    return {
+      count,
+      min: round(min),
+      mean: round(sum / count),
+      p50: at(50),
+      p90: at(90),
+      p95: at(95),
+      p99: at(99),
+      max: round(max)
+    };
+  }
+
+  return {
+    record,
+    percentile,
+    summary,
+    get count() { return count; }
+  };
+}
+
+// Round events of one connection. Flights are checked against their keyframe interval: a gap
+// of n intervals between keyframes means n - 1 are missing (lost, or skipped by a late server
+// tick). Keyframes of another round, after the crash or going back in time are out of order.
+// After a (re)connect the flight is joined midway, so its first keyframe starts a new count.
+function createFlightTracker() {
+  let round = 0;
+  let flying = false;
+  let keyframeInterval = 0;
+  let lastElapsed = null;
+
+  function roundEvent(payload, isFlying) {
+    if (payload.round < round) {
+      return { outOfOrder: true };
+    }
+    round = payload.round;
+    flying = isFlying;
+    return { outOfOrder: false };
+  }
+
+  return {
+    start(payload) {
+      return roundEvent(payload, false);
+    },
+    flying(payload) {
+      const result = roundEvent(payload, true);
+      if (!result.outOfOrder) {
+        keyframeInterval = payload.keyframeInterval || 0;
+        // Live at take-off, or a snapshot of a flight already under way
+        lastElapsed = payload.startTime === payload.serverTime ? 0 : null;
+      }
+      return { ...result, live: !result.outOfOrder && lastElapsed === 0 };
+    },
+    update(payload) {
+      if (payload.round > round) {
+        round = payload.round;
+        flying = true;
+        lastElapsed = null;
+      }
+      if (payload.round < round || !flying || (lastElapsed !== null && payload.elapsed <= lastElapsed)) {
+        return { outOfOrder: true, missing: 0 };
+      }
+      const missing = lastElapsed !== null && keyframeInterval > 0
+        ? Math.max(0, Math.floor((payload.elapsed - lastElapsed) / keyframeInterval) - 1)
+        : 0;
+      lastElapsed = payload.elapsed;
+      return { outOfOrder: false, missing };
+    },
+    crash(payload) {
+      return roundEvent(payload, false);
+    },
+    reconnected() {
+      lastElapsed = null;
+    }
+  };
+}
+
+function count(map, key) {
+  map[key] = (map[key] || 0) + 1;
+}
+
+function randomBetween(min, max) {
+  return min + Math.random() * (max - min);
+}
+
+// Crash points with the usual 1% house edge: P(crash >= x) = 0.99 / x
+function randomCrashPoint(maxMultiplier) {
+  const value = Math.floor(99 / (1 - Math.random())) / 100;
+  return Math.min(maxMultiplier, Math.max(1.01, value));
+}
+
+async function runLoadTest(options, { log = console.log } = {}) {
+  const startedAt = Date.now();
+  const deadline = startedAt + options.duration * 1000;
+  const authorization = { Authorization: `Bearer ${options.secret}` };
+
+  const stats = {
+    connections: { attempted: 0, connected: 0, failed: 0, open: 0, peak: 0, errors: {} },
+    connectMs: createHistogram(),
+    reconnects: { forcedDrops: 0, disconnects: {}, attempts: 0, reconnected: 0, failed: 0 },
+    reconnectMs: createHistogram(),
+    timeSyncRttMs: createHistogram(),
+    rounds: { started: new Set(), crashed: new Set(), outOfOrder: 0 },
+    updates: { received: 0, missing: 0, outOfOrder: 0 },
+    updateLatencyMs: createHistogram(),
+    flyingLatencyMs: createHistogram(),
+    bets: { placed: 0, rejected: {}, cashouts: 0, cashoutRejected: {}, autoCashouts: 0, lost: 0 },
+    betAckMs: createHistogram(),
+    queue: { batches: 0, rounds: 0, failed: 0, errors: [] }
+  };
+  const loopDelay = monitorEventLoopDelay({ resolution: 10 });
+  loopDelay.enable();
+
+  async function request(method, route, body = undefined) {
+    const response = await fetch(`${options.url}${route}`, {
+      method,
+      headers: { ...authorization, ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}) },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    let parsed = null;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      parsed = { error: text };
+    }
+    return { status: response.status, body: parsed };
+  }
+
+  // Connections, limits and the table's state from /health, without the per-client list
+  async function serverHealth() {
+    const { status, body } = await request('GET', '/health');
+    if (status !== 200) {
+      throw new Error(`GET /health answered ${status}: ${body.error || 'unknown error'}`);
+    }
+    const table = (body.tables || []).find(entry => entry.tableId === options.table);
+    if (!table) {
+      throw new Error(`Unknown table ${options.table}`);
+    }
+    return {
+      connections: body.connections,
+      limits: body.limits,
+      table: {
+        gamePhase: table.gamePhase,
+        currentRound: table.currentRound,
+        queueSize: table.queueSize,
+        nextRound: table.nextRound
+      }
+    };
+  }
+
+  // The queue: rounds are pushed from the first free round on, and topped up whenever a round
+  // starts with fewer than half a batch left
+  let nextRound = null;
+  let pushing = null;
+
+  async function firstFreeRound() {
+    const { table } = await serverHealth();
+    if (table.queueSize > 0) {
+      return table.nextRound + table.queueSize;
+    }
+    return table.gamePhase === 'wait' ? Math.max(table.currentRound, 1) : table.currentRound + 1;
+  }
+
+  async function pushBatch(retry = true) {
+    if (nextRound === null) {
+      nextRound = await firstFreeRound();
+    }
+    const multipliers = Array.from({ length: options.queueBatch }, () => randomCrashPoint(options.maxMultiplier));
+    const { status, body } = await request('POST', `/queue?table=${encodeURIComponent(options.table)}`, { multipliers, startRound: nextRound });
+    if (status === 200) {
+      stats.queue.batches++;
+      stats.queue.rounds += multipliers.length;
+      nextRound += multipliers.length;
+      return;
+    }
+    if (status === 409 && retry) {
+      // Someone else queued or played these rounds: start again after them
+      nextRound = null;
+      return pushBatch(false);
+    }
+    stats.queue.failed++;
+    stats.queue.errors.push({ status, error: body.error || null });
+  }
+
+  function topUpQueue(round) {
+    if (!options.queue || pushing || nextRound === null || nextRound - round > options.queueBatch / 2) {
+      return;
+    }
+    pushing = pushBatch()
+      .catch(error => {
+        stats.queue.failed++;
+        stats.queue.errors.push({ error: error.message });
+      })
+      .finally(() => {
+        pushing = null;
+      });
+  }
+
+  const before = await serverHealth();
+  if (options.queue) {
+    await pushBatch();
+  }
+  log(`🚀 ${options.clients} players against ${options.url} (table ${options.table}) for ${options.duration}s`);
+
+  const players = [];
+
+  function startPlayer(index) {
+    const tracker = createFlightTracker();
+    const auth = { table: options.table };
+    if (options.tokenSecret) {
+      auth.token = signToken({ sub: `load-test-${index}`, name: `Load ${index}` }, options.tokenSecret);
+    }
+    const connectStartedAt = Date.now();
+    let disconnectedAt = null;
+    let everConnected = false;
+    let offset = 0;
+    let bet = null;
+
+    stats.connections.attempted++;
+    const socket = connectClient(options.url, {
+      transports: ['websocket'],
+      forceNew: true,
+      reconnectionDelayMax: 5000,
+      auth
+    });
+
+    // Offset of the server clock from ours, from the time:sync sample with the shortest round trip
+    async function syncClock() {
+      let best = null;
+      for (let sample = 0; sample < TIME_SYNC_SAMPLES && socket.connected; sample++) {
+        const sentAt = Date.now();
+        const reply = await socket.timeout(10000).emitWithAck('time:sync', { clientTime: sentAt }).catch(() => null);
+        const receivedAt = Date.now();
+        if (!reply) {
+          continue;
+        }
+        stats.timeSyncRttMs.record(receivedAt - sentAt);
+        if (!best || receivedAt - sentAt < best.rtt) {
+          best = { rtt: receivedAt - sentAt, offset: reply.serverTime - (sentAt + receivedAt) / 2 };
+        }
+      }
+      if (best) {
+        offset = best.offset;
+      }
+    }
+
+    function latency(serverTime) {
+      return Date.now() + offset - serverTime;
+    }
+
+    function placeBet(round) {
+      if (Math.random() >= options.betRate || Date.now() >= deadline) {
+        return;
+      }
+      const target = Math.round(randomBetween(1.01, options.maxCashout) * 100) / 100;
+      const auto = Math.random() < options.autoCashoutRate;
+      const sentAt = Date.now();
+      bet = { round, target, auto, placed: false, settled: false, cashingOut: false };
+      socket.timeout(10000).emitWithAck('bet:place', { amount: options.betAmount, ...(auto ? { autoCashout: target } : {}) })
+        .then(result => {
+          stats.betAckMs.record(Date.now() - sentAt);
+          if (result.success) {
+            stats.bets.placed++;
+            bet.placed = true;
+          } else {
+            count(stats.bets.rejected, result.reason || 'unknown');
+            bet.settled = true;
+          }
+        })
+        .catch(() => {
+          count(stats.bets.rejected, 'ack_timeout');
+          bet.settled = true;
+        });
+    }
+
+    function cashOut() {
+      bet.cashingOut = true;
+      socket.timeout(10000).emitWithAck('bet:cashout', { tableId: options.table })
+        .then(result => {
+          if (result.success) {
+            stats.bets.cashouts++;
+            bet.settled = true;
+          } else {
+            count(stats.bets.cashoutRejected, result.reason || 'unknown');
+          }
+        })
+        .catch(() => count(stats.bets.cashoutRejected, 'ack_timeout'));
+    }
+
+    socket.on('connect', () => {
+      if (!everConnected) {
+        everConnected = true;
+        stats.connections.connected++;
+        stats.connectMs.record(Date.now() - connectStartedAt);
+      } else {
+        stats.reconnects.reconnected++;
+        stats.reconnectMs.record(Date.now() - disconnectedAt);
+        tracker.reconnected();
+      }
+      stats.connections.open++;
+      stats.connections.peak = Math.max(stats.connections.peak, stats.connections.open);
+      syncClock();
+    });
+
+    socket.on('connect_error', (error) => {
+      if (!everConnected && !socket.active) {
+        // Refused by the server (auth, limits): no retry
+        stats.connections.failed++;
+        count(stats.connections.errors, error.message);
+      } else if (!everConnected) {
+        count(stats.connections.errors, error.message);
+      }
+    });
+
+    socket.on('disconnect', (reason) => {
+      stats.connections.open--;
+      disconnectedAt = Date.now();
+      if (reason !== 'io client disconnect') {
+        count(stats.reconnects.disconnects, reason);
+      }
+    });
+
+    socket.io.on('reconnect_attempt', () => {
+      stats.reconnects.attempts++;
+    });
+    socket.io.on('reconnect_failed', () => {
+      stats.reconnects.failed++;
+    });
+
+    socket.on('round:start', (payload) => {
+      if (tracker.start(payload).outOfOrder) {
+        stats.rounds.outOfOrder++;
+        return;
+      }
+      stats.rounds.started.add(payload.round);
+      topUpQueue(payload.round);
+      if (!bet || bet.round !== payload.round) {
+        bet = null;
+        placeBet(payload.round);
+      }
+    });
+
+    socket.on('round:flying', (payload) => {
+      const result = tracker.flying(payload);
+      if (result.outOfOrder) {
+        stats.rounds.outOfOrder++;
+      } else if (result.live) {
+        stats.flyingLatencyMs.record(latency(payload.serverTime));
+      }
+    });
+
+    socket.on('multiplier:update', (payload) => {
+      stats.updates.received++;
+      const result = tracker.update(payload);
+      if (result.outOfOrder) {
+        stats.updates.outOfOrder++;
+        return;
+      }
+      stats.updates.missing += result.missing;
+      stats.updateLatencyMs.record(latency(payload.serverTime));
+      if (bet && bet.round === payload.round && bet.placed && !bet.auto && !bet.settled && !bet.cashingOut && payload.multiplier >= bet.target) {
+        cashOut();
+      }
+    });
+
+    socket.on('bet:auto-cashout', (payload) => {
+      if (bet && bet.round === payload.round) {
+        stats.bets.autoCashouts++;
+        bet.settled = true;
+      }
+    });
+
+    socket.on('round:crash', (payload) => {
+      if (tracker.crash(payload).outOfOrder) {
+        stats.rounds.outOfOrder++;
+        return;
+      }
+      stats.rounds.crashed.add(payload.round);
+      if (bet && bet.round === payload.round && bet.placed && !bet.settled) {
+        stats.bets.lost++;
+        bet.settled = true;
+      }
+    });
+
+    // Drop the connection once at a random time to exercise reconnection
+    if (Math.random() < options.dropRate) {
+      const dropAfter = randomBetween(0, deadline - Date.now());
+      players.push({ socket, dropTimer: setTimeout(() => {
+        if (socket.connected) {
+          stats.reconnects.forcedDrops++;
+          socket.io.engine.close();
+        }
+      }, dropAfter) });
+    } else {
+      players.push({ socket, dropTimer: null });
+    }
+  }
+
+  // Players connect at random times within the jitter window
+  const connectTimers = Array.from({ length: options.clients }, (value, index) =>
+    setTimeout(() => startPlayer(index), Math.random() * Math.min(options.jitter, options.duration * 1000)));
+
+  let lastUpdates = 0;
+  const progressTimer = setInterval(() => {
+    const received = stats.updates.received;
+    const latencyP95 = stats.updateLatencyMs.count > 0 ? `${stats.updateLatencyMs.percentile(95)}ms` : '-';
+    log(`📊 ${stats.connections.open}/${options.clients} connected, ${Math.round((received - lastUpdates) * 1000 / PROGRESS_INTERVAL)} updates/s, p95 latency ${latencyP95}, ${stats.updates.missing} missing, ${stats.rounds.crashed.size} rounds`);
+    lastUpdates = received;
+  }, PROGRESS_INTERVAL);
+
+  await new Promise(resolve => setTimeout(resolve, deadline - Date.now()));
+
+  clearInterval(progressTimer);
+  connectTimers.forEach(clearTimeout);
+  players.forEach(({ socket, dropTimer }) => {
+    clearTimeout(dropTimer);
+    socket.close();
+  });
+  if (pushing) {
+    await pushing;
+  }
+  loopDelay.disable();
+  await new Promise(resolve => setTimeout(resolve, SETTLE_DELAY));
+
+  let after = null;
+  try {
+    after = await serverHealth();
+  } catch (error) {
+    after = { error: error.message };
+  }
+
+  const finishedAt = Date.now();
+  const { secret, tokenSecret, ...shownOptions } = options;
+  return {
+    startedAt: new Date(startedAt).toISOString(),
+    finishedAt: new Date(finishedAt).toISOString(),
+    durationMs: finishedAt - startedAt,
+    options: { ...shownOptions, playerTokens: !!tokenSecret },
+    connections: {
+      attempted: stats.connections.attempted,
+      connected: stats.connections.connected,
+      failed: stats.connections.failed,
+      peak: stats.connections.peak,
+      errors: stats.connections.errors,
+      connectMs: stats.connectMs.summary()
+    },
+    reconnects: {
+      ...stats.reconnects,
+      reconnectMs: stats.reconnectMs.summary()
+    },
+    timeSyncRttMs: stats.timeSyncRttMs.summary(),
+    rounds: {
+      started: stats.rounds.started.size,
+      crashed: stats.rounds.crashed.size,
+      outOfOrder: stats.rounds.outOfOrder
+    },
+    updates: {
+      ...stats.updates,
+      latencyMs: stats.updateLatencyMs.summary()
+    },
+    flyingLatencyMs: stats.flyingLatencyMs.summary(),
+    bets: {
+      ...stats.bets,
+      ackMs: stats.betAckMs.summary()
+    },
+    queue: stats.queue,
+    // A busy load generator delays events itself: check this before blaming the server
+    loadGenerator: {
+      eventLoopDelayMs: {
+        p50: Math.round(loopDelay.percentile(50) / 1e4) / 100,
+        p99: Math.round(loopDelay.percentile(99) / 1e4) / 100,
+        max: Math.round(loopDelay.max / 1e4) / 100
+      }
+    },
+    server: { before, after }
+  };
+}
+
+module.exports = {
+  OPTIONS,
+  parseArgs,
+  createHistogram,
+  createFlightTracker,
+  runLoadTest
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  if (process.argv.includes('--help')) {
+    console.log(usage());
+    process.exit(0);
+  }
+  const { options, errors } = parseArgs(process.argv.slice(2), process.env);
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(`❌ ${error}`));
+    console.error(usage());
+    process.exit(2);
+  }
+
+  runLoadTest(options)
+    .then(report => {
+      const json = JSON.stringify(report, null, 2);
+      if (options.report === '-') {
+        console.log(json);
+      } else {
+        fs.writeFileSync(options.report, `${json}\n`);
+        console.log(`📝 Report written to ${options.report}`);
+      }
+      const { connections, updates } = report;
+      console.log(`✅ ${connections.connected}/${options.clients} connected (${connections.failed} refused), ${updates.received} updates, p50/p99 latency ${updates.latencyMs.p50 ?? '-'}/${updates.latencyMs.p99 ?? '-'}ms, ${updates.missing} missing, ${updates.outOfOrder} out of order`);
+      if (connections.errors.too_many_connections) {
+        console.log('⚠️ Connections were refused by MAX_SOCKETS_PER_IP: run the server with MAX_SOCKETS_PER_IP=0 for load tests');
+      }
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error(`❌ Load test failed: ${error.message}`);
+      process.exit(1);
+    });
+}
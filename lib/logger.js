@@ -0,0 +1,142 @@
+// Logger
+//
+// Levels (debug, info, warn, error), per-module namespaces, pretty or JSON lines, and
+// redaction of secrets and crash points. Messages are short text; details go in a fields
+// object so they can be filtered and redacted:
+//
+//   const logger = createLogger('table').child({ tableId: 'main' });
+//   logger.info('🎮 Starting round', { round: 12, crashPoint: 2.31 });
+//
+// Configuration (env, or configure() at runtime):
+//   LOG_LEVEL        minimum level (info)
+//   LOG_NAMESPACES   per-namespace levels, e.g. `table=warn,cluster=debug`
+//   LOG_FORMAT       `pretty` (default) or `json`
+//   LOG_CRASH_POINTS `true` to log crash points; they are redacted otherwise
+// Secret-looking fields (secrets, tokens, keys, seeds) are always redacted.
+//
+// Hot paths use throttle(ms, clock): at most one line per interval of `clock` (the system
+// clock by default), with the number of lines dropped since the last one in `suppressed`.
+
+const { systemClock } = require('./game-state-machine');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const SECRET_FIELD = /secret|token|password|authorization|api_?key|seed/i;
+const CRASH_POINT_FIELDS = ['crashPoint', 'multiplier', 'multipliers', 'nextMultiplier', 'derivedCrashPoint'];
+const REDACTED = '[redacted]';
+
+let settings = null;
+
+function parseNamespaces(value) {
+  const levels = {};
+  String(value || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const [namespace, level] = entry.split('=').map(part => part.trim());
+    if (namespace && LEVELS[level] !== undefined) {
+      levels[namespace] = level;
+    }
+  });
+  return levels;
+}
+
+function configure(options = {}) {
+  const env = process.env;
+  const current = settings || {
+    level: LEVELS[env.LOG_LEVEL] !== undefined ? env.LOG_LEVEL : 'info',
+    namespaces: parseNamespaces(env.LOG_NAMESPACES),
+    format: env.LOG_FORMAT === 'json' ? 'json' : 'pretty',
+    showCrashPoints: env.LOG_CRASH_POINTS === 'true',
+    write: (line, level) => (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`)
+  };
+  settings = { ...current, ...options };
+  if (typeof settings.namespaces === 'string') {
+    settings.namespaces = parseNamespaces(settings.namespaces);
+  }
+  return settings;
+}
+
+function currentSettings() {
+  return settings || configure();
+}
+
+function redact(value, key, showCrashPoints) {
+  if (key && SECRET_FIELD.test(key)) {
+    return REDACTED;
+  }
+  if (key && !showCrashPoints && CRASH_POINT_FIELDS.includes(key)) {
+    return REDACTED;
+  }
+  if (value instanceof Error) {
+    return value.message;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, null, showCrashPoints));
+  }
+  if (value && typeof value === 'object') {
+    const copy = {};
+    Object.keys(value).forEach(field => {
+      copy[field] = redact(value[field], field, showCrashPoints);
+    });
+    return copy;
+  }
+  return value;
+}
+
+function formatPretty(namespace, level, message, fields) {
+  const context = fields.tableId ? `${namespace} ${fields.tableId}` : namespace;
+  const { tableId, ...rest } = fields;
+  const details = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+  const prefix = level === 'info' ? '' : `${level.toUpperCase()} `;
+  return `${prefix}[${context}] ${message}${details}`;
+}
+
+function createLogger(namespace, bindings = {}) {
+  function enabled(level) {
+    const config = currentSettings();
+    const threshold = config.namespaces[namespace] || config.level;
+    return LEVELS[level] >= LEVELS[threshold];
+  }
+
+  function write(level, message, fields) {
+    if (!enabled(level)) {
+      return;
+    }
+    const config = currentSettings();
+    const safe = redact({ ...bindings, ...fields }, null, config.showCrashPoints);
+    const line = config.format === 'json'
+      ? JSON.stringify({ time: new Date().toISOString(), level, ns: namespace, msg: message, ...safe })
+      : formatPretty(namespace, level, message, safe);
+    config.write(line, level);
+  }
+
+  const logger = {
+    namespace,
+    enabled,
+    debug: (message, fields = {}) => write('debug', message, fields),
+    info: (message, fields = {}) => write('info', message, fields),
+    warn: (message, fields = {}) => write('warn', message, fields),
+    error: (message, fields = {}) => write('error', message, fields),
+    child: (more) => createLogger(namespace, { ...bindings, ...more }),
+    throttle: (intervalMs, clock = systemClock) => {
+      let lastAt = -Infinity;
+      let suppressed = 0;
+      const limited = (level) => (message, fields = {}) => {
+        if (!enabled(level)) return;
+        const now = clock.now();
+        if (now - lastAt < intervalMs) {
+          suppressed++;
+          return;
+        }
+        write(level, message, suppressed > 0 ? { ...fields, suppressed } : fields);
+        lastAt = now;
+        suppressed = 0;
+      };
+      return { debug: limited('debug'), info: limited('info'), warn: limited('warn'), error: limited('error') };
+    }
+  };
+  return logger;
+}
+
+module.exports = {
+  LEVELS,
+  configure,
+  createLogger
+};
@@ -0,0 +1,129 @@
+// Prometheus metrics
+//
+// A small registry of counters, gauges and histograms rendered in the Prometheus text
+// exposition format (version 0.0.4) for GET /metrics. Gauges can be collected at scrape time
+// from a function returning a number or [{ labels, value }].
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels).filter(([, value]) => value !== undefined && value !== null);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (Number.isNaN(value)) return 'NaN';
+  return String(value);
+}
+
+// Samples keyed by their label set
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(key => [key, String(labels[key])]));
+}
+
+function createRegistry() {
+  const metrics = [];
+
+  function register(metric) {
+    if (metrics.some(existing => existing.name === metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    metrics.push(metric);
+    return metric;
+  }
+
+  function counter(name, help) {
+    const samples = new Map(); // labelKey -> { labels, value }
+    return register({
+      name,
+      help,
+      type: 'counter',
+      inc(labels = {}, amount = 1) {
+        const key = labelKey(labels);
+        const sample = samples.get(key) || { labels, value: 0 };
+        sample.value += amount;
+        samples.set(key, sample);
+      },
+      lines: () => Array.from(samples.values()).map(({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`)
+    });
+  }
+
+  function gauge(name, help, collect = null) {
+    const samples = new Map();
+    return register({
+      name,
+      help,
+      type: 'gauge',
+      set(labels, value) {
+        samples.set(labelKey(labels), { labels, value });
+      },
+      lines() {
+        let current = Array.from(samples.values());
+        if (collect) {
+          const collected = collect();
+          current = typeof collected === 'number' ? [{ labels: {}, value: collected }] : collected;
+        }
+        return current.map(({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`);
+      }
+    });
+  }
+
+  function histogram(name, help, buckets) {
+    const bounds = buckets.slice().sort((a, b) => a - b);
+    const samples = new Map(); // labelKey -> { labels, counts, sum, count }
+    return register({
+      name,
+      help,
+      type: 'histogram',
+      observe(labels, value) {
+        const key = labelKey(labels);
+        const sample = samples.get(key) || { labels, counts: bounds.map(() => 0), sum: 0, count: 0 };
+        bounds.forEach((bound, index) => {
+          if (value <= bound) sample.counts[index]++;
+        });
+        sample.sum += value;
+        sample.count++;
+        samples.set(key, sample);
+      },
+      lines() {
+        const lines = [];
+        samples.forEach(({ labels, counts, sum, count }) => {
+          bounds.forEach((bound, index) => {
+            lines.push(`${name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`);
+          });
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+          lines.push(`${name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+          lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+        });
+        return lines;
+      }
+    });
+  }
+
+  function render() {
+    return metrics.map(metric => [
+      `# HELP ${metric.name} ${metric.help}`,
+      `# TYPE ${metric.name} ${metric.type}`,
+      ...metric.lines()
+    ].join('\n')).join('\n') + '\n';
+  }
+
+  return {
+    counter,
+    gauge,
+    histogram,
+    render
+  };
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  createRegistry
+};
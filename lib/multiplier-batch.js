@@ -0,0 +1,124 @@
+// Validation of multiplier batches sent to POST /queue
+//
+// A batch is { multipliers, startRound?, mode? }. Each item is either a number (its round is
+// startRound + index) or an object { multiplier, round_number } (`round` is accepted too; with
+// neither, startRound + index is used). parseBatch() checks the whole batch and returns every
+// problem at once, so the backend can fix a batch in one go.
+
+const crypto = require('crypto');
+const provablyFair = require('./provably-fair');
+
+const MAX_BATCH_SIZE = 1000;
+const MIN_MULTIPLIER = 1.00; // exclusive: a round must be able to fly
+const MAX_MULTIPLIER = 1000000; // keeps flights well below the 5 minute safety limit
+const CONFLICT_MODES = ['reject', 'overwrite'];
+
+function isRoundNumber(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+// Seeds sent by the backend alongside a multiplier (camelCase or snake_case)
+function readSeeds(item) {
+  if (!item || typeof item !== 'object') return null;
+  const serverSeed = item.serverSeed || item.server_seed;
+  const clientSeed = item.clientSeed !== undefined ? item.clientSeed : item.client_seed;
+  const nonce = item.nonce;
+  if (!serverSeed || clientSeed === undefined || nonce === undefined) return null;
+  return { serverSeed, clientSeed, nonce };
+}
+
+// Returns { items: [{ index, round, multiplier, seeds }], mode } or { error, errors? }.
+// With requireSeeds every item must carry seeds its multiplier can be derived from.
+function parseBatch(body, { requireSeeds = false, defaultMode = 'reject' } = {}) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'Body must be a JSON object' };
+  }
+  const { multipliers, startRound } = body;
+  if (!Array.isArray(multipliers) || multipliers.length === 0) {
+    return { error: 'multipliers must be a non-empty array' };
+  }
+  if (multipliers.length > MAX_BATCH_SIZE) {
+    return { error: `At most ${MAX_BATCH_SIZE} multipliers per batch` };
+  }
+  if (startRound !== undefined && startRound !== null && !isRoundNumber(startRound)) {
+    return { error: 'startRound must be a positive integer' };
+  }
+  const mode = body.mode === undefined ? defaultMode : body.mode;
+  if (!CONFLICT_MODES.includes(mode)) {
+    return { error: `mode must be one of: ${CONFLICT_MODES.join(', ')}` };
+  }
+
+  const errors = [];
+  const items = [];
+  const seen = new Map(); // round -> index
+  multipliers.forEach((item, index) => {
+    const isObject = item !== null && typeof item === 'object' && !Array.isArray(item);
+    if (typeof item !== 'number' && !isObject) {
+      errors.push({ index, error: 'Item must be a number or an object with a multiplier' });
+      return;
+    }
+
+    const multiplier = isObject ? item.multiplier : item;
+    let round = isObject ? (item.round_number !== undefined ? item.round_number : item.round) : undefined;
+    if (round === undefined || round === null) {
+      if (!isRoundNumber(startRound)) {
+        errors.push({ index, error: 'No round number: send startRound or round_number' });
+        return;
+      }
+      round = startRound + index;
+    }
+
+    if (!isRoundNumber(round)) {
+      errors.push({ index, error: 'Round number must be a positive integer' });
+      return;
+    }
+    if (typeof multiplier !== 'number' || !Number.isFinite(multiplier)) {
+      errors.push({ index, round, error: 'Multiplier must be a finite number' });
+      return;
+    }
+    if (multiplier <= MIN_MULTIPLIER || multiplier > MAX_MULTIPLIER) {
+      errors.push({ index, round, error: `Multiplier must be above ${MIN_MULTIPLIER.toFixed(2)} and at most ${MAX_MULTIPLIER}` });
+      return;
+    }
+    if (seen.has(round)) {
+      errors.push({ index, round, error: `Round already given at index ${seen.get(round)}` });
+      return;
+    }
+    seen.set(round, index);
+
+    const seeds = readSeeds(isObject ? item : null);
+    if (requireSeeds) {
+      if (!seeds) {
+        errors.push({ index, round, error: 'Missing serverSeed, clientSeed or nonce' });
+        return;
+      }
+      const check = provablyFair.verifyRound({ ...seeds, crashPoint: multiplier });
+      if (!check.valid) {
+        errors.push({ index, round, error: check.errors.join('; '), expectedCrashPoint: check.expectedCrashPoint });
+        return;
+      }
+    }
+
+    items.push({ index, round, multiplier, seeds });
+  });
+
+  if (errors.length > 0) {
+    return { error: 'Invalid multipliers', errors };
+  }
+  return { items, mode };
+}
+
+// Identifies a batch for Idempotency-Key checks
+function batchFingerprint(body) {
+  return crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+}
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  MIN_MULTIPLIER,
+  MAX_MULTIPLIER,
+  CONFLICT_MODES,
+  readSeeds,
+  parseBatch,
+  batchFingerprint
+};
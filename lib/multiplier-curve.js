@@ -0,0 +1,211 @@
+// Multiplier growth curves
+//
+// A curve gives the multiplier at any time of a flight, the same for every round of a table,
+// and how long the flight to a given crash point lasts. Clients get the curve parameters and
+// the server start time in `round:flying` and render the flight locally, so the value at a
+// time must never depend on the crash point.
+//
+// A strategy is a factory (options) -> { valueAt(elapsedMs), flightDuration(target), parameters }
+// where valueAt is the exact (unstepped) multiplier, increasing from 1 at take-off, and
+// flightDuration its inverse in ms. Built-in strategies:
+//
+//   exponential   e^(growthRate * t), the classic curve; a 100x round flies for about a minute
+//   accelerating  e^(growthRate * t + acceleration * t²), starts like the exponential one but
+//                 reaches maxMultiplier after maxFlightTime seconds, so high rounds stay short
+//   linear        1 + slope * t, for testing
+//
+// createCurve() builds a table's curve from its settings; selfCheck() verifies every strategy.
+
+const { createLogger } = require('./logger');
+
+const logger = createLogger('curve');
+
+// Growth rate of the exponential part, per second, unless configured otherwise (CURVE_GROWTH_RATE)
+const DEFAULT_GROWTH_RATE = 0.08;
+
+// Highest multiplier the accelerating curve is shaped for (the highest POST /queue accepts)
+const MAX_MULTIPLIER = 1000000;
+
+// Multipliers are shown in hundredths. The epsilon absorbs floating point error, so the curve
+// shows exactly 2.00 when it reaches 2 and not 1.99.
+function stepped(value) {
+  return Math.floor(value * 100 + 1e-6) / 100;
+}
+
+const STRATEGIES = {
+  exponential({ growthRate = DEFAULT_GROWTH_RATE }) {
+    return {
+      valueAt: (elapsedMs) => Math.exp(growthRate * elapsedMs / 1000),
+      flightDuration: (target) => Math.log(target) / growthRate * 1000,
+      parameters: () => ({
+        type: 'exponential',
+        growthRate,
+        formula: 'floor(100 * e^(growthRate * elapsedSeconds)) / 100'
+      })
+    };
+  },
+
+  accelerating({ growthRate = DEFAULT_GROWTH_RATE, maxFlightTime = 60, maxMultiplier = MAX_MULTIPLIER }) {
+    // ln(maxMultiplier) = growthRate * T + acceleration * T², clamped at 0 when the exponential
+    // curve is already fast enough
+    const acceleration = Math.max(0, (Math.log(maxMultiplier) - growthRate * maxFlightTime) / (maxFlightTime * maxFlightTime));
+    return {
+      valueAt: (elapsedMs) => {
+        const seconds = elapsedMs / 1000;
+        return Math.exp(growthRate * seconds + acceleration * seconds * seconds);
+      },
+      flightDuration: (target) => {
+        const exponent = Math.log(target);
+        if (acceleration === 0) {
+          return exponent / growthRate * 1000;
+        }
+        // Positive root of acceleration * t² + growthRate * t - ln(target) = 0
+        return (-growthRate + Math.sqrt(growthRate * growthRate + 4 * acceleration * exponent)) / (2 * acceleration) * 1000;
+      },
+      parameters: () => ({
+        type: 'accelerating',
+        growthRate,
+        acceleration,
+        maxFlightTime,
+        formula: 'floor(100 * e^(growthRate * elapsedSeconds + acceleration * elapsedSeconds^2)) / 100'
+      })
+    };
+  },
+
+  linear({ slope = 1 }) {
+    return {
+      valueAt: (elapsedMs) => 1 + slope * elapsedMs / 1000,
+      flightDuration: (target) => (target - 1) / slope * 1000,
+      parameters: () => ({
+        type: 'linear',
+        slope,
+        formula: 'floor(100 * (1 + slope * elapsedSeconds)) / 100'
+      })
+    };
+  }
+};
+
+const CURVE_TYPES = Object.keys(STRATEGIES);
+
+// A table's curve. Options: type (exponential), growthRate, maxFlightTime (s, accelerating),
+// slope (per second, linear); `jitter` adds a random spread (s) to estimateTimeToMultiplier,
+// which is exact without it.
+function createCurve({ type = 'exponential', jitter = 0, ...options } = {}) {
+  const strategy = STRATEGIES[type];
+  if (!strategy) {
+    throw new Error(`Unknown curve type ${type}`);
+  }
+  const { valueAt, flightDuration, parameters } = strategy(options);
+
+  // Flight time in seconds
+  function estimateTimeToMultiplier(target) {
+    const seconds = flightDuration(target) / 1000;
+    return jitter > 0 ? seconds + (Math.random() - 0.5) * jitter : seconds;
+  }
+
+  // Multiplier `elapsedMs` after take-off, stepped to hundredths
+  function multiplierAtElapsed(elapsedMs) {
+    return Math.max(1.00, stepped(valueAt(elapsedMs)));
+  }
+
+  // Multiplier at `progress` (0-1) of the flight to `target`, exactly `target` at the end
+  function calculateMultiplier(progress, target) {
+    if (progress >= 1.0) {
+      return target;
+    }
+    return Math.min(multiplierAtElapsed(progress * flightDuration(target)), target);
+  }
+
+  return {
+    type,
+    flightDuration,
+    estimateTimeToMultiplier,
+    calculateMultiplier,
+    multiplierAtElapsed,
+    parameters
+  };
+}
+
+const SELF_CHECK_TARGETS = [1.01, 1.2, 1.5, 2, 3.33, 5, 15, 50, 100, 1000, 25000, MAX_MULTIPLIER];
+const SELF_CHECK_SAMPLES = 2000;
+const SAFETY_LIMIT_MS = 300000; // Longer flights are force-crashed (see startFlyingPhase)
+
+// Check a curve: it starts at 1.00, never goes down, and reaches every target exactly at
+// flightDuration(target). Returns { type, problems, warnings, flightTimes }. Flights over the
+// safety limit are force-crashed at take-off, so for a table's curve (`strict`) they are
+// problems; for the built-in strategies with default options they are only warnings.
+function checkCurve(curve, { strict = false } = {}) {
+  const problems = [];
+  const warnings = [];
+  const flightTimes = {};
+
+  if (curve.multiplierAtElapsed(0) !== 1.00) {
+    problems.push(`starts at ${curve.multiplierAtElapsed(0)}x instead of 1.00x`);
+  }
+
+  SELF_CHECK_TARGETS.forEach(target => {
+    const duration = curve.flightDuration(target);
+    flightTimes[target] = Number.isFinite(duration) ? Math.round(duration) / 1000 : null;
+    if (!Number.isFinite(duration) || duration <= 0) {
+      problems.push(`no valid flight time for ${target}x (${duration})`);
+      return;
+    }
+    if (duration > SAFETY_LIMIT_MS) {
+      (strict ? problems : warnings).push(`${target}x takes ${(duration / 1000).toFixed(0)}s, over the ${SAFETY_LIMIT_MS / 1000}s safety limit`);
+    }
+    const reached = curve.multiplierAtElapsed(duration);
+    if (reached !== target) {
+      problems.push(`shows ${reached}x instead of ${target}x at the end of its flight`);
+    }
+    if (curve.calculateMultiplier(1, target) !== target) {
+      problems.push(`calculateMultiplier(1, ${target}) is not ${target}`);
+    }
+    if (curve.calculateMultiplier(0.999, target) > target) {
+      problems.push(`passes ${target}x before the end of its flight`);
+    }
+  });
+
+  // Monotonic up to the longest flight checked (or the safety limit)
+  const horizon = Math.min(curve.flightDuration(MAX_MULTIPLIER), SAFETY_LIMIT_MS);
+  let previous = 1.00;
+  for (let sample = 1; sample <= SELF_CHECK_SAMPLES; sample++) {
+    const elapsedMs = horizon * sample / SELF_CHECK_SAMPLES;
+    const value = curve.multiplierAtElapsed(elapsedMs);
+    if (!(value >= previous)) {
+      problems.push(`goes down from ${previous}x to ${value}x at ${elapsedMs.toFixed(0)}ms`);
+      break;
+    }
+    previous = value;
+  }
+
+  return { type: curve.type, problems, warnings, flightTimes };
+}
+
+// Self-check of every built-in strategy (default options) and of the given curves, the
+// tables' configured ones, which must fly every accepted crash point within the safety limit.
+// Logs a summary; { ok, results }.
+function selfCheck(curves = []) {
+  const results = [
+    ...CURVE_TYPES.map(type => checkCurve(createCurve({ type }))),
+    ...curves.map(curve => checkCurve(curve, { strict: true }))
+  ];
+  results.forEach(result => {
+    result.problems.forEach(problem => logger.error(`❌ ${result.type} curve ${problem}`));
+    result.warnings.forEach(warning => logger.debug(`⚠️ ${result.type} curve: ${warning}`));
+    logger.debug(`📈 ${result.type} curve flight times (s)`, { flightTimes: result.flightTimes });
+  });
+  const ok = results.every(result => result.problems.length === 0);
+  if (ok) {
+    logger.info(`✅ Curve self-check passed: ${results.map(result => result.type).join(', ')}`);
+  }
+  return { ok, results };
+}
+
+module.exports = {
+  DEFAULT_GROWTH_RATE,
+  CURVE_TYPES,
+  STRATEGIES,
+  createCurve,
+  checkCurve,
+  selfCheck
+};
@@ -0,0 +1,191 @@
+// Pull-mode multiplier feed
+//
+// Instead of waiting for the backend to push to POST /queue, the feed asks the backend for
+// the next batch whenever a table's queue is below the low-water mark:
+//
+//   GET <url>?tableId=<id>&fromRound=<first round needed>&count=<batch size>
+//   Authorization: Bearer <token>            (when a token is configured)
+//
+// The backend answers with a POST /queue body ({ multipliers, startRound }), or 204 / an
+// empty `multipliers` array when it has nothing yet. Batches go through the same
+// validation as pushed ones. Failures are retried with exponential backoff, and health()
+// reports the state for /health.
+
+const { createLogger } = require('./logger');
+const { systemClock, systemScheduler } = require('./game-state-machine');
+
+function createFeed(options) {
+  const {
+    table,
+    url,
+    token = null,
+    enqueue, // (batch) -> Promise<{ status, body }>
+    lowWater = 5,
+    batchSize = 20,
+    pollInterval = 1000,
+    retryInitial = 1000,
+    retryMax = 60000,
+    requestTimeout = 5000,
+    fetchImpl = fetch,
+    clock = systemClock, // { now() }
+    scheduler = systemScheduler // { setTimeout, clearTimeout }
+  } = options;
+
+  let timer = null;
+  let running = false;
+  let inFlight = false;
+  const stats = {
+    state: 'idle', // 'idle', 'ok', 'waiting' (backend had nothing), 'failing'
+    consecutiveFailures: 0,
+    lastAttemptAt: null,
+    lastSuccessAt: null,
+    lastError: null,
+    lastErrorAt: null,
+    nextAttemptAt: null,
+    batchesFetched: 0,
+    roundsFetched: 0
+  };
+
+  const logger = createLogger('feed', { tableId: table.id });
+
+  function schedule(delay) {
+    scheduler.clearTimeout(timer);
+    if (!running) return;
+    stats.nextAttemptAt = clock.now() + delay;
+    timer = scheduler.setTimeout(tick, delay);
+  }
+
+  function backoffDelay() {
+    const delay = Math.min(retryInitial * 2 ** (stats.consecutiveFailures - 1), retryMax);
+    return Math.round(delay / 2 + Math.random() * delay / 2); // jitter: 50-100% of the delay
+  }
+
+  function fail(error) {
+    stats.consecutiveFailures++;
+    stats.state = 'failing';
+    stats.lastError = error;
+    stats.lastErrorAt = clock.now();
+    const delay = backoffDelay();
+    logger.warn(`❌ Feed request failed (${stats.consecutiveFailures}x), retrying in ${delay}ms`, { error });
+    schedule(delay);
+  }
+
+  async function pull(status) {
+    const fromRound = status.lastRound !== null ? status.lastRound + 1 : Math.max(status.firstOpenRound, 1);
+    const requestUrl = new URL(url);
+    requestUrl.searchParams.set('tableId', table.id);
+    requestUrl.searchParams.set('fromRound', fromRound);
+    requestUrl.searchParams.set('count', batchSize);
+
+    stats.lastAttemptAt = clock.now();
+    let response;
+    try {
+      response = await fetchImpl(requestUrl, {
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+        signal: AbortSignal.timeout(requestTimeout)
+      });
+    } catch (error) {
+      return fail(error.name === 'TimeoutError' ? 'timeout' : error.message);
+    }
+
+    if (response.status === 204) {
+      return waitForBackend();
+    }
+    if (!response.ok) {
+      return fail(`HTTP ${response.status}`);
+    }
+
+    let batch;
+    try {
+      batch = await response.json();
+    } catch (error) {
+      return fail('invalid JSON');
+    }
+    if (!batch || !Array.isArray(batch.multipliers) || batch.multipliers.length === 0) {
+      return waitForBackend();
+    }
+
+    const result = await enqueue(batch).catch(error => ({ status: 503, body: { error: error.message } }));
+    if (result.status !== 200) {
+      return fail(`batch refused (${result.status}): ${result.body.error}`);
+    }
+
+    stats.state = 'ok';
+    stats.consecutiveFailures = 0;
+    stats.lastSuccessAt = clock.now();
+    stats.batchesFetched++;
+    stats.roundsFetched += result.body.accepted.length;
+    logger.info(`📡 Feed fetched ${batch.multipliers.length} multipliers from round ${fromRound}`, { queueSize: result.body.queueSize });
+    // Check again right away in case the queue is still below the mark
+    schedule(0);
+  }
+
+  // The backend is reachable but has no rounds yet: poll again at the normal rate
+  function waitForBackend() {
+    stats.state = 'waiting';
+    stats.consecutiveFailures = 0;
+    stats.lastSuccessAt = clock.now();
+    schedule(pollInterval);
+  }
+
+  async function tick() {
+    timer = null;
+    // Only the instance running the game loop pulls (see Multiple Instances)
+    if (!running || inFlight || !table.active) {
+      return schedule(pollInterval);
+    }
+    const status = table.queueStatus();
+    if (status.queueSize >= lowWater) {
+      stats.state = stats.state === 'failing' ? 'failing' : 'ok';
+      return schedule(pollInterval);
+    }
+
+    inFlight = true;
+    try {
+      await pull(status);
+    } finally {
+      inFlight = false;
+    }
+  }
+
+  function start() {
+    running = true;
+    logger.info(`📡 Pull feed from ${new URL(url).origin} (low water ${lowWater}, batch ${batchSize})`);
+    schedule(0);
+  }
+
+  function stop() {
+    running = false;
+    scheduler.clearTimeout(timer);
+    timer = null;
+  }
+
+  // Check the queue now (e.g. when the table reports it is low), unless backing off
+  function wake() {
+    if (running && !inFlight && stats.state !== 'failing') {
+      schedule(0);
+    }
+  }
+
+  function health() {
+    return {
+      mode: 'pull',
+      ...stats,
+      lastAttemptAt: stats.lastAttemptAt && new Date(stats.lastAttemptAt).toISOString(),
+      lastSuccessAt: stats.lastSuccessAt && new Date(stats.lastSuccessAt).toISOString(),
+      lastErrorAt: stats.lastErrorAt && new Date(stats.lastErrorAt).toISOString(),
+      nextAttemptAt: running && stats.nextAttemptAt ? new Date(stats.nextAttemptAt).toISOString() : null,
+      lowWater,
+      batchSize
+    };
+  }
+
+  return {
+    start,
+    stop,
+    wake,
+    health
+  };
+}
+
+module.exports = { createFeed };
@@ -0,0 +1,130 @@
+// Player authentication for Socket.IO connections
+//
+// Players connect with a JWT signed with HS256 by the game backend
+// (`auth: { token }` in the handshake, or `?token=`). The token's `sub` claim is the user id.
+// Connections without a token are spectators: they receive every event but cannot bet.
+// Only HS256 is accepted, and `exp` / `nbf` are checked when present.
+// Optional claims: `name`, the display name shown in public bet events and the leaderboard,
+// and `private: true` to hide it by default (players can change this, see player:privacy).
+// Admin tools connect with an API key instead (`auth: { apiKey }`), see authenticateAdmin.
+
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('auth');
+
+function base64UrlEncode(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+function hmac(secret, data) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+// Sign claims into a token (backend helper and tooling)
+function signToken(claims, secret) {
+  const header = base64UrlEncode(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64UrlEncode(JSON.stringify(claims));
+  return `${header}.${payload}.${hmac(secret, `${header}.${payload}`)}`;
+}
+
+// Returns the token's claims, or throws with a short reason
+function verifyToken(token, secret, now = Date.now()) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    throw new Error('malformed_token');
+  }
+  const [header, payload, signature] = parts;
+
+  let decodedHeader;
+  let claims;
+  try {
+    decodedHeader = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('malformed_token');
+  }
+  if (decodedHeader.alg !== 'HS256') {
+    throw new Error('unsupported_algorithm');
+  }
+
+  const expected = Buffer.from(hmac(secret, `${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new Error('invalid_signature');
+  }
+
+  const nowSeconds = Math.floor(now / 1000);
+  if (typeof claims.exp === 'number' && nowSeconds >= claims.exp) {
+    throw new Error('token_expired');
+  }
+  if (typeof claims.nbf === 'number' && nowSeconds < claims.nbf) {
+    throw new Error('token_not_active');
+  }
+  if (claims.sub === undefined || claims.sub === null || claims.sub === '') {
+    throw new Error('missing_subject');
+  }
+  return claims;
+}
+
+// Display names are trimmed and cut to this length
+const MAX_DISPLAY_NAME_LENGTH = 32;
+
+function displayName(claims) {
+  return typeof claims.name === 'string' ? claims.name.trim().slice(0, MAX_DISPLAY_NAME_LENGTH) || null : null;
+}
+
+// Socket.IO middleware. Sets socket.data.userId and socket.data.role ('player', 'spectator'
+// or 'admin'), and for players with a token socket.data.displayName and socket.data.private.
+// Without a secret every other connection is a player identified by its socket id (no auth).
+// authenticateAdmin(apiKey) returns the key's { name } or null.
+function createSocketAuth({ secret, allowSpectators = true, authenticateAdmin = null }) {
+  return (socket, next) => {
+    const auth = socket.handshake.auth || {};
+    const token = auth.token || socket.handshake.query.token;
+
+    if (auth.apiKey) {
+      const apiKey = authenticateAdmin ? authenticateAdmin(auth.apiKey) : null;
+      if (!apiKey) {
+        logger.debug(`🚫 Rejected socket`, { socketId: socket.id, reason: 'invalid_api_key' });
+        return next(new Error('invalid_api_key'));
+      }
+      socket.data.userId = `admin:${apiKey.name}`;
+      socket.data.role = 'admin';
+      return next();
+    }
+
+    if (!secret) {
+      socket.data.userId = socket.id;
+      socket.data.role = 'player';
+      return next();
+    }
+
+    if (!token) {
+      if (!allowSpectators) {
+        return next(new Error('authentication_required'));
+      }
+      socket.data.userId = null;
+      socket.data.role = 'spectator';
+      return next();
+    }
+
+    try {
+      const claims = verifyToken(token, secret);
+      socket.data.userId = String(claims.sub);
+      socket.data.role = 'player';
+      socket.data.displayName = displayName(claims);
+      socket.data.private = claims.private === true;
+      next();
+    } catch (error) {
+      logger.debug(`🚫 Rejected socket`, { socketId: socket.id, reason: error.message });
+      next(new Error(error.message));
+    }
+  };
+}
+
+module.exports = {
+  signToken,
+  verifyToken,
+  createSocketAuth
+};
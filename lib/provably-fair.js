@@ -0,0 +1,139 @@
+// Provably fair crash points
+//
+// Every round is described by a server seed, a client seed and a nonce (the round number).
+// The crash point is derived from HMAC-SHA256(serverSeed, `${clientSeed}:${nonce}`), and the
+// server seeds come from a hash chain: each seed is the SHA-256 of the seed used in the
+// following round, so publishing sha256(seed) before a round commits to it, and revealing
+// the seed after the crash lets anyone check both the crash point and the chain link.
+//
+// This file has no dependencies on the server and can be run offline:
+//   node lib/provably-fair.js <history.json> [chainHead]
+// where history.json is an array of round records as returned by GET /verify/:round.
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const MIN_CRASH_POINT = 1.01; // The game never flies below this (1.00 would crash instantly)
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Deterministic crash point from the round inputs, in hundredths, never below MIN_CRASH_POINT
+function deriveCrashPoint(serverSeed, clientSeed, nonce) {
+  const hmac = crypto
+    .createHmac('sha256', serverSeed)
+    .update(`${clientSeed}:${nonce}`)
+    .digest('hex');
+
+  // Use 52 bits so the value fits in a double without losing precision
+  const h = parseInt(hmac.slice(0, 13), 16);
+  const e = Math.pow(2, 52);
+  const crashPoint = Math.floor((100 * e - h) / (e - h)) / 100;
+
+  return Math.max(MIN_CRASH_POINT, crashPoint);
+}
+
+// Hash chain of server seeds, handed out newest-first. `head` is the hash of the first
+// seed returned by next(), and is what gets published before any round is played.
+// `used` resumes a chain that already handed out that many seeds.
+function createHashChain(secret, length, used = 0) {
+  const seeds = new Array(length);
+  seeds[0] = sha256(secret);
+  for (let i = 1; i < length; i++) {
+    seeds[i] = sha256(seeds[i - 1]);
+  }
+
+  let index = Math.max(0, length - used);
+
+  return {
+    head: sha256(seeds[length - 1]),
+    length,
+    remaining: () => index,
+    used: () => length - index,
+    next() {
+      if (index === 0) return null;
+      index--;
+      return { serverSeed: seeds[index], chainIndex: length - 1 - index };
+    }
+  };
+}
+
+// Check a single round record: the seed matches its published hash and the crash point
+// matches the derivation.
+function verifyRound(record) {
+  const errors = [];
+  const { round, serverSeed, serverSeedHash, clientSeed, nonce, crashPoint } = record;
+
+  if (!serverSeed || clientSeed === undefined || nonce === undefined) {
+    return { round, valid: false, expectedCrashPoint: null, errors: ['missing seeds'] };
+  }
+
+  if (serverSeedHash && sha256(serverSeed) !== serverSeedHash) {
+    errors.push('server seed does not match its published hash');
+  }
+
+  const expectedCrashPoint = deriveCrashPoint(serverSeed, clientSeed, nonce);
+  if (Math.round(Number(crashPoint) * 100) !== Math.round(expectedCrashPoint * 100)) {
+    errors.push(`crash point ${crashPoint} does not match derived ${expectedCrashPoint}`);
+  }
+
+  return { round, valid: errors.length === 0, expectedCrashPoint, errors };
+}
+
+// Check a list of round records, including the chain links between consecutive seeds
+// (by chainIndex) and, if given, the link from the first seed to the published chain head.
+function verifyHistory(records, chainHead) {
+  const sorted = [...records].sort((a, b) => a.round - b.round);
+  const results = sorted.map(verifyRound);
+
+  sorted.forEach((record, i) => {
+    if (record.chainIndex === undefined || record.chainIndex === null) return;
+
+    if (record.chainIndex === 0 && chainHead && sha256(record.serverSeed) !== chainHead) {
+      results[i].valid = false;
+      results[i].errors.push('first seed does not match the chain head');
+    }
+
+    const previous = sorted[i - 1];
+    if (previous && previous.chainIndex === record.chainIndex - 1 && sha256(record.serverSeed) !== previous.serverSeed) {
+      results[i].valid = false;
+      results[i].errors.push(`seed does not hash to the seed of round ${previous.round}`);
+    }
+  });
+
+  return {
+    valid: results.every(result => result.valid),
+    checked: results.length,
+    failed: results.filter(result => !result.valid).length,
+    results
+  };
+}
+
+module.exports = {
+  MIN_CRASH_POINT,
+  sha256,
+  deriveCrashPoint,
+  createHashChain,
+  verifyRound,
+  verifyHistory
+};
+
+if (require.main === module) {
+  const [file, chainHead] = process.argv.slice(2);
+  if (!file) {
+    console.error('Usage: node lib/provably-fair.js <history.json> [chainHead]');
+    process.exit(2);
+  }
+
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const records = Array.isArray(data) ? data : [data];
+  const report = verifyHistory(records, chainHead);
+
+  report.results.forEach(result => {
+    const status = result.valid ? '✅' : '❌';
+    console.log(`${status} Round ${result.round}: derived ${result.expectedCrashPoint}x${result.errors.length ? ` - ${result.errors.join('; ')}` : ''}`);
+  });
+  console.log(`\n${report.checked} rounds checked, ${report.failed} failed`);
+  process.exit(report.valid ? 0 : 1);
+}
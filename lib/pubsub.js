@@ -0,0 +1,142 @@
+// Pub/sub and lease adapters for running several server instances
+//
+// An adapter provides the two things the cluster needs from a shared backend:
+//   publish(channel, message) / subscribe(channel, handler)  - JSON messages
+//   acquireLease(key, owner, ttlMs) / releaseLease(key, owner) - leader lease
+// acquireLease() takes a free or expired lease, or renews one `owner` already holds,
+// and resolves to true when `owner` holds the lease afterwards.
+//
+// The memory adapter shares one bus per process, so several clusters created in the same
+// process (e.g. in tests) see each other. Lease expiry follows the adapter's clock. The Redis adapter works with Redis or any
+// server that speaks the same protocol.
+
+const { EventEmitter } = require('events');
+const { createLogger } = require('./logger');
+const { systemClock } = require('./game-state-machine');
+
+const logger = createLogger('cluster');
+
+const memoryBus = {
+  emitter: new EventEmitter().setMaxListeners(0),
+  leases: new Map() // key -> { owner, expiresAt }
+};
+
+function createMemoryAdapter(bus = memoryBus, { clock = systemClock } = {}) {
+  const subscriptions = [];
+  let closed = false;
+
+  return {
+    type: 'memory',
+    async publish(channel, message) {
+      if (closed) {
+        throw new Error('Adapter is closed');
+      }
+      const data = JSON.stringify(message);
+      // Deliver asynchronously, like a network round trip would
+      setImmediate(() => bus.emitter.emit(channel, data));
+    },
+    async subscribe(channel, handler) {
+      const listener = (data) => handler(JSON.parse(data));
+      bus.emitter.on(channel, listener);
+      subscriptions.push([channel, listener]);
+    },
+    async acquireLease(key, owner, ttlMs) {
+      const lease = bus.leases.get(key);
+      const now = clock.now();
+      if (!lease || lease.expiresAt <= now || lease.owner === owner) {
+        bus.leases.set(key, { owner, expiresAt: now + ttlMs });
+        return true;
+      }
+      return false;
+    },
+    async releaseLease(key, owner) {
+      const lease = bus.leases.get(key);
+      if (lease && lease.owner === owner) {
+        bus.leases.delete(key);
+      }
+    },
+    async close() {
+      subscriptions.forEach(([channel, listener]) => bus.emitter.off(channel, listener));
+      subscriptions.length = 0;
+      closed = true;
+    }
+  };
+}
+
+// Renew only if we still own the key
+const RENEW_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0`;
+
+const RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0`;
+
+function createRedisAdapter(url) {
+  const Redis = require('ioredis');
+  // A connection in subscriber mode cannot run other commands, so use two
+  const client = new Redis(url);
+  const subscriber = new Redis(url);
+  const handlers = new Map(); // channel -> [handler]
+
+  subscriber.on('message', (channel, data) => {
+    const channelHandlers = handlers.get(channel) || [];
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      logger.warn(`❌ Ignoring malformed pub/sub message on ${channel}`, { error });
+      return;
+    }
+    channelHandlers.forEach(handler => handler(message));
+  });
+
+  return {
+    type: 'redis',
+    async publish(channel, message) {
+      await client.publish(channel, JSON.stringify(message));
+    },
+    async subscribe(channel, handler) {
+      if (!handlers.has(channel)) {
+        handlers.set(channel, []);
+        await subscriber.subscribe(channel);
+      }
+      handlers.get(channel).push(handler);
+    },
+    async acquireLease(key, owner, ttlMs) {
+      const acquired = await client.set(key, owner, 'PX', ttlMs, 'NX');
+      if (acquired === 'OK') {
+        return true;
+      }
+      return (await client.eval(RENEW_SCRIPT, 1, key, owner, ttlMs)) === 1;
+    },
+    async releaseLease(key, owner) {
+      await client.eval(RELEASE_SCRIPT, 1, key, owner);
+    },
+    async close() {
+      handlers.clear();
+      await Promise.all([client.quit(), subscriber.quit()]);
+    }
+  };
+}
+
+function createAdapter(type, options = {}) {
+  switch (type) {
+    case 'memory':
+      return createMemoryAdapter(memoryBus, { clock: options.clock });
+    case 'redis':
+      return createRedisAdapter(options.url || 'redis://127.0.0.1:6379');
+    default:
+      throw new Error(`Unknown pub/sub adapter: ${type}`);
+  }
+}
+
+module.exports = {
+  createMemoryAdapter,
+  createRedisAdapter,
+  createAdapter
+};
@@ -0,0 +1,135 @@
+// Rate limiting and bans
+//
+// Token buckets keyed by IP or socket: a key holds up to `burst` tokens and gains `rate`
+// tokens per second, and each request or event takes one. Without a token it is refused
+// until the bucket refills. Buckets that are full again are dropped by prune(), so idle
+// clients cost nothing.
+//
+// The ban list holds IPs refused for a while, e.g. after flooding socket events.
+
+const { systemClock } = require('./game-state-machine');
+
+function createRateLimiter({ rate, burst = rate, clock = systemClock }) {
+  const buckets = new Map(); // key -> { tokens, updatedAt }
+
+  function tokensAt(bucket, now) {
+    return Math.min(burst, bucket.tokens + (now - bucket.updatedAt) * rate / 1000);
+  }
+
+  // Take `cost` tokens from `key`: { allowed, remaining, retryAfterMs }
+  function take(key, cost = 1) {
+    const now = clock.now();
+    const bucket = buckets.get(key) || { tokens: burst, updatedAt: now };
+    bucket.tokens = tokensAt(bucket, now);
+    bucket.updatedAt = now;
+    buckets.set(key, bucket);
+
+    if (bucket.tokens >= cost) {
+      bucket.tokens -= cost;
+      return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfterMs: 0 };
+    }
+    return { allowed: false, remaining: 0, retryAfterMs: Math.ceil((cost - bucket.tokens) / rate * 1000) };
+  }
+
+  function forget(key) {
+    buckets.delete(key);
+  }
+
+  function prune() {
+    const now = clock.now();
+    buckets.forEach((bucket, key) => {
+      if (tokensAt(bucket, now) >= burst) {
+        buckets.delete(key);
+      }
+    });
+  }
+
+  return {
+    rate,
+    burst,
+    take,
+    forget,
+    prune,
+    get size() { return buckets.size; }
+  };
+}
+
+function createBanList({ duration, clock = systemClock }) {
+  const bans = new Map(); // key -> { reason, bannedAt, until }
+
+  function ban(key, reason) {
+    const now = clock.now();
+    const entry = { reason, bannedAt: now, until: now + duration };
+    bans.set(key, entry);
+    return entry;
+  }
+
+  // The ban of `key`, or null when it is not (or no longer) banned
+  function check(key) {
+    const entry = bans.get(key);
+    if (entry && entry.until <= clock.now()) {
+      bans.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  function lift(key) {
+    return bans.delete(key);
+  }
+
+  function prune() {
+    const now = clock.now();
+    bans.forEach((entry, key) => {
+      if (entry.until <= now) {
+        bans.delete(key);
+      }
+    });
+  }
+
+  function list() {
+    prune();
+    return Array.from(bans.entries()).map(([key, entry]) => ({
+      key,
+      reason: entry.reason,
+      bannedAt: new Date(entry.bannedAt).toISOString(),
+      until: new Date(entry.until).toISOString()
+    }));
+  }
+
+  return {
+    duration,
+    ban,
+    check,
+    lift,
+    prune,
+    list,
+    get size() { return bans.size; }
+  };
+}
+
+// Express middleware taking one token per request from the bucket of keyOf(req) (the client
+// IP). Requests for which skip(req) is true are not counted. Refused requests get 429 with
+// Retry-After (seconds), and onLimited(req) is called.
+function httpRateLimit(limiter, { keyOf = (req) => req.ip, skip = () => false, onLimited = () => {} } = {}) {
+  return (req, res, next) => {
+    if (skip(req)) {
+      return next();
+    }
+    const result = limiter.take(keyOf(req));
+    res.set('RateLimit-Limit', String(limiter.burst));
+    res.set('RateLimit-Remaining', String(result.remaining));
+    if (result.allowed) {
+      return next();
+    }
+    onLimited(req);
+    res.set('Retry-After', String(Math.ceil(result.retryAfterMs / 1000)));
+    res.status(429).json({ error: 'Too many requests', retryAfterMs: result.retryAfterMs });
+  };
+}
+
+module.exports = {
+  createRateLimiter,
+  createBanList,
+  httpRateLimit
+};
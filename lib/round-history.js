@@ -0,0 +1,118 @@
+// Round history queries
+//
+// Works on the completed round results recorded by crashRound() (round -> result map).
+// Pages are ordered newest first; the cursor is the round number of the last item of
+// the previous page, and the next page starts strictly below it.
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : NaN;
+}
+
+// Time filters accept epoch milliseconds or anything Date can parse (e.g. ISO strings)
+function toTimestamp(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (Number.isFinite(number)) return number;
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? NaN : parsed;
+}
+
+// Parse and validate query-string filters. Returns { filters } or { error }.
+function parseRoundQuery(query) {
+  const filters = {
+    cursor: toNumber(query.cursor),
+    limit: toNumber(query.limit),
+    fromRound: toNumber(query.fromRound),
+    toRound: toNumber(query.toRound),
+    minCrashPoint: toNumber(query.minCrashPoint),
+    maxCrashPoint: toNumber(query.maxCrashPoint),
+    from: toTimestamp(query.from),
+    to: toTimestamp(query.to)
+  };
+
+  const invalid = Object.keys(filters).filter(key => Number.isNaN(filters[key]));
+  if (invalid.length > 0) {
+    return { error: `Invalid value for: ${invalid.join(', ')}` };
+  }
+
+  if (filters.limit === null) {
+    filters.limit = DEFAULT_PAGE_SIZE;
+  }
+  if (filters.limit < 1 || filters.limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  return { filters };
+}
+
+function matches(result, filters) {
+  if (filters.cursor !== null && result.round >= filters.cursor) return false;
+  if (filters.fromRound !== null && result.round < filters.fromRound) return false;
+  if (filters.toRound !== null && result.round > filters.toRound) return false;
+  if (filters.minCrashPoint !== null && result.crashPoint < filters.minCrashPoint) return false;
+  if (filters.maxCrashPoint !== null && result.crashPoint > filters.maxCrashPoint) return false;
+  if (filters.from !== null && result.crashedAt < filters.from) return false;
+  if (filters.to !== null && result.crashedAt > filters.to) return false;
+  return true;
+}
+
+function isoOrNull(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : null;
+}
+
+function formatRound(result) {
+  return {
+    round: result.round,
+    crashPoint: result.crashPoint,
+    crashedAt: isoOrNull(result.crashedAt)
+  };
+}
+
+function formatRoundDetail(result) {
+  return {
+    ...formatRound(result),
+    bettingStartedAt: isoOrNull(result.bettingStartedAt),
+    flyingStartedAt: isoOrNull(result.flyingStartedAt),
+    bettingDurationMs: result.bettingStartedAt && result.flyingStartedAt ? result.flyingStartedAt - result.bettingStartedAt : null,
+    flightDurationMs: result.flyingStartedAt ? result.crashedAt - result.flyingStartedAt : null,
+    fairness: result.fairness || null
+  };
+}
+
+function queryRounds(results, filters) {
+  const matching = Array.from(results.values())
+    .filter(result => matches(result, filters))
+    .sort((a, b) => b.round - a.round);
+
+  const page = matching.slice(0, filters.limit);
+  const hasMore = matching.length > page.length;
+
+  return {
+    rounds: page.map(formatRound),
+    nextCursor: hasMore ? page[page.length - 1].round : null,
+    limit: filters.limit
+  };
+}
+
+// Last `count` crash points, newest first
+function recentCrashPoints(results, count) {
+  return Array.from(results.values())
+    .sort((a, b) => b.round - a.round)
+    .slice(0, count)
+    .map(result => ({ round: result.round, crashPoint: result.crashPoint }));
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parseRoundQuery,
+  queryRounds,
+  formatRound,
+  formatRoundDetail,
+  recentCrashPoints
+};
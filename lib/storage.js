@@ -0,0 +1,74 @@
+// Game state storage
+//
+// A store keeps one snapshot of the game (queue, round → multiplier map, completed round
+// results and the round counter) so a restarted server can resume where it stopped.
+// Every store implements the same two synchronous methods:
+//   load()         -> snapshot object, or null when nothing has been saved yet
+//   save(snapshot) -> writes the snapshot, replacing the previous one
+// Saves happen at round boundaries and on shutdown, so a synchronous write is cheap
+// and guarantees the SIGINT path flushes before the process exits.
+
+const fs = require('fs');
+const path = require('path');
+
+const SNAPSHOT_VERSION = 1;
+
+// Keeps the snapshot in process memory only (state is lost on restart)
+function createMemoryStore() {
+  let data = null;
+
+  return {
+    type: 'memory',
+    load() {
+      return data ? JSON.parse(data) : null;
+    },
+    save(snapshot) {
+      data = JSON.stringify({ version: SNAPSHOT_VERSION, savedAt: Date.now(), ...snapshot });
+    }
+  };
+}
+
+// Keeps the snapshot in a JSON file. Writes go to a temporary file that is then
+// renamed over the real one, so a crash mid-write never leaves a truncated snapshot.
+function createFileStore(filePath) {
+  const resolved = path.resolve(filePath);
+
+  return {
+    type: 'file',
+    path: resolved,
+    load() {
+      if (!fs.existsSync(resolved)) {
+        return null;
+      }
+      const snapshot = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+      if (snapshot.version !== SNAPSHOT_VERSION) {
+        throw new Error(`Unsupported snapshot version ${snapshot.version} in ${resolved}`);
+      }
+      return snapshot;
+    },
+    save(snapshot) {
+      fs.mkdirSync(path.dirname(resolved), { recursive: true });
+      const tmpPath = `${resolved}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ version: SNAPSHOT_VERSION, savedAt: Date.now(), ...snapshot }));
+      fs.renameSync(tmpPath, resolved);
+    }
+  };
+}
+
+function createStore(type, options = {}) {
+  switch (type) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      return createFileStore(options.path || 'data/game-state.json');
+    default:
+      throw new Error(`Unknown storage type: ${type}`);
+  }
+}
+
+module.exports = {
+  SNAPSHOT_VERSION,
+  createMemoryStore,
+  createFileStore,
+  createStore
+};
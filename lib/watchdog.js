@@ -0,0 +1,71 @@
+// Stall watchdog
+//
+// Every `interval` ms each table that runs the game loop is checked against its
+// phase-transition invariants (table.inspect). A table that breaks one is repaired with the
+// same logic as POST /recover, and the intervention is recorded as an incident together with
+// the problems found and the result of the repair.
+
+const { createLogger } = require('./logger');
+const { systemScheduler } = require('./game-state-machine');
+
+const logger = createLogger('watchdog');
+
+function createWatchdog({ tables, interval = 1000, grace = 2000, onIncident, scheduler = systemScheduler }) {
+  let timer = null;
+  let checks = 0;
+  let repairs = 0;
+
+  function check() {
+    checks++;
+    tables.forEach(table => {
+      const problems = table.inspect(grace);
+      if (problems.length === 0) {
+        return;
+      }
+      const before = { round: table.currentRound, phase: table.gamePhase };
+      logger.error(`🐕 ${problems.map(problem => problem.invariant).join(', ')} in ${before.phase} phase of round ${before.round}, recovering`, { tableId: table.id });
+      const result = table.recover();
+      repairs++;
+      onIncident({
+        tableId: table.id,
+        type: 'stall',
+        round: before.round,
+        phase: before.phase,
+        problems,
+        action: 'recover',
+        result,
+        after: { round: table.currentRound, phase: table.gamePhase }
+      });
+    });
+  }
+
+  function start() {
+    if (interval > 0 && !timer) {
+      timer = scheduler.setInterval(check, interval);
+    }
+  }
+
+  function stop() {
+    scheduler.clearInterval(timer);
+    timer = null;
+  }
+
+  function view() {
+    return {
+      enabled: interval > 0,
+      interval,
+      grace,
+      checks,
+      repairs
+    };
+  }
+
+  return {
+    start,
+    stop,
+    check,
+    view
+  };
+}
+
+module.exports = { createWatchdog };
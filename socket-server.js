@@ -1,824 +1,1207 @@
 require('dotenv').config();
 const express = require('express');
+const fs = require('fs');
 const http = require('http');
+const os = require('os');
+const path = require('path');
+const { monitorEventLoopDelay } = require('perf_hooks');
 const socketIo = require('socket.io');
 const cors = require('cors');
+const storage = require('./lib/storage');
+const roundHistory = require('./lib/round-history');
+const { createTable, ADMIN_ROOM } = require('./lib/game-table');
+const { createFeed } = require('./lib/multiplier-feed');
+const pubsub = require('./lib/pubsub');
+const { createCluster } = require('./lib/cluster');
+const { createSocketAuth } = require('./lib/player-auth');
+const apiKeys = require('./lib/api-keys');
+const { createAuditLog } = require('./lib/audit-log');
+const { createWatchdog } = require('./lib/watchdog');
+const metrics = require('./lib/metrics');
+const { createLogger } = require('./lib/logger');
+const gameConfig = require('./lib/config');
+const { createCurve, checkCurve, selfCheck } = require('./lib/multiplier-curve');
+const leaderboard = require('./lib/leaderboard');
+const rateLimit = require('./lib/rate-limit');
+const { systemClock, systemScheduler } = require('./lib/game-state-machine');
 
-const app = express();
-const server = http.createServer(app);
-const io = socketIo(server, {
-  cors: {
-    origin: "*",
-    methods: ["GET", "POST"]
-  }
-});
-
-// Configuration
-const PORT = process.env.SOCKET_PORT || 3001;
-const SECRET_TOKEN = process.env.SOCKET_SERVER_SECRET || 'your-secret-token';
-const BETTING_PHASE_DURATION = 6000; // 6 seconds
-const WAIT_PHASE_DURATION = 3000; // 3 seconds
-const MULTIPLIER_UPDATE_INTERVAL = 100; // 100ms for smooth progression updates
-
-// Time-based round calculation (same as backend)
-const ROUND_DURATION = 10000; // 10 seconds per round
-function getCurrentRound() {
-  const today = new Date();
-  const BASE_TIMESTAMP = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate(), 12, 0, 0);
-  const now = Date.now();
-  return Math.max(1, Math.floor((now - BASE_TIMESTAMP) / ROUND_DURATION));
-}
+// The whole server: HTTP routes, Socket.IO and the tables, configured from `env`. The game
+// loops run on `clock` and `scheduler` (see lib/game-state-machine.js), so tests can drive
+// them with a fake clock. Nothing is served until listen().
+function createServer({ env = process.env, clock = systemClock, scheduler = systemScheduler } = {}) {
+  const app = express();
+  const server = http.createServer(app);
+  const logger = createLogger('server');
+  const socketLogger = createLogger('socket');
 
-// Global game state
-let multiplierQueue = [];
-let roundMultipliers = new Map(); // round -> multiplier mapping
-let currentRound = 0; // Use sequential counter, not time-based
-let currentMultiplier = 1.00;
-let crashPoint = null;
-let gamePhase = 'wait'; // 'wait', 'betting', 'flying', 'crashed'
-let simulationInterval = null;
-let bettingTimer = null;
-let waitTimer = null;
-let startTime = null; // Track flying phase start time
-
-// Client-specific state tracking
-const clientStates = new Map(); // socketId -> { currentRound, isSynced }
-const connectionStats = {
-  totalConnections: 0,
-  activeConnections: 0,
-  totalDisconnections: 0,
-  lastConnectionTime: null,
-  lastDisconnectionTime: null
-};
-
-// Connection monitoring
-function logConnectionStats() {
-  const activeCount = io.engine.clientsCount;
-  console.log(`📊 Connection Stats: ${activeCount} active, ${connectionStats.totalConnections} total connections, ${connectionStats.totalDisconnections} disconnections`);
-  
-  // Log client details if there are active connections
-  if (activeCount > 0) {
-    const clientDetails = Array.from(clientStates.entries()).map(([id, state]) => ({
-      id: id.substring(0, 8) + '...',
-      round: state.currentRound,
-      synced: state.isSynced,
-      connectedFor: Math.floor((Date.now() - state.connectedAt) / 1000) + 's'
-    }));
-    console.log(`👥 Active clients:`, clientDetails);
+  // Configuration
+  const PORT = env.SOCKET_PORT || 3001;
+  const IS_PRODUCTION = env.NODE_ENV === 'production';
+  const DEFAULT_SECRET = 'your-secret-token';
+  // Admin API keys: JSON array of { name, hash, scopes } in API_KEYS and/or the API_KEYS_FILE file.
+  // SOCKET_SERVER_SECRET still works as a key named `shared-secret` with every scope.
+  const API_KEYRING = loadApiKeys();
+  const AUDIT_LOG_PATH = env.AUDIT_LOG_PATH || 'data/audit.log';
+  // Watchdog: checks every table's phase invariants and repairs stalls (0 = disabled)
+  const WATCHDOG_INTERVAL = env.WATCHDOG_INTERVAL !== undefined ? parseInt(env.WATCHDOG_INTERVAL, 10) : 1000;
+  const WATCHDOG_GRACE = parseInt(env.WATCHDOG_GRACE, 10) || 2000; // ms a phase may overrun its deadline
+  const INCIDENT_LOG_PATH = env.INCIDENT_LOG_PATH || 'data/incidents.log';
+  // Game timing and curve: defaults, CONFIG_FILE, then env (BETTING_PHASE_DURATION,
+  // WAIT_PHASE_DURATION, MULTIPLIER_UPDATE_INTERVAL, MULTIPLIER_KEYFRAME_INTERVAL,
+  // CURVE_GROWTH_RATE, ROUND_DURATION) and the tables, see lib/config.js
+  const GAME_CONFIG = gameConfig.loadConfig(env);
+  // Sealed rounds: only a commitment to the crash point is published until the round crashes
+  const SEALED_ROUNDS = env.SEALED_ROUNDS === 'true';
+  // Provably fair mode: 'derive' (crash points come from the server's seed chain),
+  // 'verify' (backend sends seeds with each multiplier and they are checked) or off
+  const PROVABLY_FAIR = ['derive', 'verify'].includes(env.PROVABLY_FAIR) ? env.PROVABLY_FAIR : 'off';
+  const PROVABLY_FAIR_CLIENT_SEED = env.PROVABLY_FAIR_CLIENT_SEED || 'aviator-socket-server';
+  const PROVABLY_FAIR_CHAIN_LENGTH = parseInt(env.PROVABLY_FAIR_CHAIN_LENGTH, 10) || 10000;
+  // Persistence of the queue, round map and round history ('file' or 'memory')
+  const STORAGE_TYPE = env.STORAGE_TYPE || 'file';
+  const STORAGE_PATH = env.STORAGE_PATH || 'data/game-state.json';
+  const ROUND_RETENTION = parseInt(env.ROUND_RETENTION, 10) || 1000; // Completed rounds kept in memory and storage
+  // What POST /queue does with a queued round sent again with another multiplier: 'reject' (409) or 'overwrite'
+  const QUEUE_CONFLICT_MODE = env.QUEUE_CONFLICT_MODE === 'overwrite' ? 'overwrite' : 'reject';
+  // queue:low is sent to admin sockets (and the pull feed fetches) below this many queued rounds
+  const QUEUE_LOW_WATER = env.QUEUE_LOW_WATER !== undefined ? parseInt(env.QUEUE_LOW_WATER, 10) : 5;
+  // Pull mode: the server fetches batches from FEED_URL instead of waiting for POST /queue
+  const FEED_URL = env.FEED_URL || null;
+  const FEED_TOKEN = env.FEED_TOKEN || null;
+  const FEED_BATCH_SIZE = parseInt(env.FEED_BATCH_SIZE, 10) || 20;
+  const FEED_POLL_INTERVAL = parseInt(env.FEED_POLL_INTERVAL, 10) || 2000;
+  const FEED_RETRY_MAX = parseInt(env.FEED_RETRY_MAX, 10) || 60000;
+  const HISTORY_SNAPSHOT_SIZE = parseInt(env.HISTORY_SNAPSHOT_SIZE, 10) || 20; // Crash points sent to new clients
+  // Live bets feed: at most one bets:live update per interval (0 = no live feed)
+  const LIVE_BETS_INTERVAL = env.LIVE_BETS_INTERVAL !== undefined ? parseInt(env.LIVE_BETS_INTERVAL, 10) : 500;
+  // GET /leaderboard windows (e.g. 30m, 24h, 7d, all; the first is the default) and entries per list
+  const LEADERBOARD_WINDOWS = leaderboard.parseWindows(env.LEADERBOARD_WINDOWS || '1h,24h,7d');
+  const LEADERBOARD_SIZE = parseInt(env.LEADERBOARD_SIZE, 10) || 10;
+  // Game tables, e.g. [{"id":"main"},{"id":"fast","bettingPhaseDuration":3000,"waitPhaseDuration":1000}],
+  // from TABLES or the config file, with every setting resolved
+  const TABLE_CONFIGS = GAME_CONFIG.tables;
+  // Multi-instance mode: 'redis' (instances share a Redis-compatible server), 'memory'
+  // (in-process bus, for tests) or off. Only the lease holder runs the game loops.
+  const CLUSTER_MODE = ['memory', 'redis'].includes(env.CLUSTER_MODE) ? env.CLUSTER_MODE : 'off';
+  const REDIS_URL = env.REDIS_URL || 'redis://127.0.0.1:6379';
+  const INSTANCE_ID = env.INSTANCE_ID || `${os.hostname()}-${process.pid}`;
+  const CLUSTER_LEASE_TTL = parseInt(env.CLUSTER_LEASE_TTL, 10) || 10000;
+  // Player sockets: HS256 tokens signed with this key (no key = no player auth, socket id = user id)
+  const PLAYER_TOKEN_SECRET = env.PLAYER_TOKEN_SECRET || null;
+  const ALLOW_SPECTATORS = env.ALLOW_SPECTATORS !== 'false';
+  // Comma-separated origins allowed for HTTP and Socket.IO. Unset: any origin outside production.
+  const ALLOWED_ORIGINS = parseAllowedOrigins(env.ALLOWED_ORIGINS);
+
+  // Debug routes (/debug, /test-round/:round) only exist in development: NODE_ENV unset or 'development'
+  const IS_DEVELOPMENT = !env.NODE_ENV || env.NODE_ENV === 'development';
+
+  // Abuse protection, see "Rate Limits" in the README (0 disables a limit)
+  const TRUST_PROXY = env.TRUST_PROXY === 'true'; // Client IPs from X-Forwarded-For
+  const HTTP_RATE_LIMIT = env.HTTP_RATE_LIMIT !== undefined ? parseFloat(env.HTTP_RATE_LIMIT) : 20; // Requests per second per IP
+  const HTTP_RATE_BURST = parseInt(env.HTTP_RATE_BURST, 10) || HTTP_RATE_LIMIT * 2;
+  const SOCKET_RATE_LIMIT = env.SOCKET_RATE_LIMIT !== undefined ? parseFloat(env.SOCKET_RATE_LIMIT) : 10; // Events per second per socket
+  const SOCKET_RATE_BURST = parseInt(env.SOCKET_RATE_BURST, 10) || SOCKET_RATE_LIMIT * 2;
+  const SOCKET_FLOOD_LIMIT = env.SOCKET_FLOOD_LIMIT !== undefined ? parseInt(env.SOCKET_FLOOD_LIMIT, 10) : 100; // Refused events per minute before a socket is dropped
+  const MAX_SOCKETS_PER_IP = env.MAX_SOCKETS_PER_IP !== undefined ? parseInt(env.MAX_SOCKETS_PER_IP, 10) : 20;
+  const BAN_DURATION = env.BAN_DURATION !== undefined ? parseInt(env.BAN_DURATION, 10) : 300000; // ms
+  const JSON_BODY_LIMIT = env.JSON_BODY_LIMIT || '100kb';
+  const SOCKET_MAX_PAYLOAD = parseInt(env.SOCKET_MAX_PAYLOAD, 10) || 16384; // Bytes per Socket.IO message
+
+  // Time-based round calculation (same as backend)
+  const ROUND_DURATION = GAME_CONFIG.roundDuration;
+  function getCurrentRound() {
+    const today = new Date();
+    const BASE_TIMESTAMP = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate(), 12, 0, 0);
+    const now = Date.now();
+    return Math.max(1, Math.floor((now - BASE_TIMESTAMP) / ROUND_DURATION));
   }
-}
 
-// Monitor connections every 30 seconds
-setInterval(logConnectionStats, 30000);
+  function loadApiKeys() {
+    const entries = [];
+    if (env.API_KEYS) {
+      entries.push(...JSON.parse(env.API_KEYS));
+    }
+    if (env.API_KEYS_FILE) {
+      entries.push(...JSON.parse(fs.readFileSync(env.API_KEYS_FILE, 'utf8')));
+    }
 
-// Middleware
-app.use(cors());
-app.use(express.json());
+    // Without any key configured the default secret is used, outside production only
+    const sharedSecret = env.SOCKET_SERVER_SECRET || (entries.length === 0 ? DEFAULT_SECRET : null);
+    if (sharedSecret === DEFAULT_SECRET) {
+      if (IS_PRODUCTION) {
+        throw new Error('Refusing to start in production with the default secret: set API_KEYS or SOCKET_SERVER_SECRET');
+      }
+      logger.warn('⚠️ Using the default admin secret, never do this in production');
+    }
+    if (sharedSecret) {
+      entries.push({ name: 'shared-secret', hash: apiKeys.hashKey(sharedSecret), scopes: ['*'] });
+    }
+    return apiKeys.createKeyring(entries);
+  }
 
-// Helper function to get multiplier for a specific round
-function getMultiplierForRound(round) {
-  const multiplier = roundMultipliers.get(round);
-  return multiplier || 1.00;
-}
+  function parseAllowedOrigins(value) {
+    if (value) {
+      return value.split(',').map(origin => origin.trim()).filter(Boolean);
+    }
+    if (IS_PRODUCTION) {
+      logger.warn('⚠️ ALLOWED_ORIGINS is not set, cross-origin requests are refused');
+      return false;
+    }
+    logger.warn('⚠️ ALLOWED_ORIGINS is not set, allowing any origin (development only)');
+    return '*';
+  }
 
-// Authentication middleware
-const authenticateRequest = (req, res, next) => {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || authHeader !== `Bearer ${SECRET_TOKEN}`) {
-    return res.status(401).json({ error: 'Unauthorized' });
+  // The first table keeps STORAGE_PATH; the others get `<name>-<tableId><ext>` next to it
+  function tableStoragePath(tableId, index) {
+    if (index === 0) {
+      return STORAGE_PATH;
+    }
+    const { dir, name, ext } = path.parse(STORAGE_PATH);
+    return path.join(dir, `${name}-${tableId}${ext}`);
   }
-  next();
-};
-
-// Root endpoint for uptime monitoring (must be first)
-app.get('/', (req, res) => {
-  const response = { 
-    status: 'ok', 
-    service: 'aviator-socket-server',
-    timestamp: new Date().toISOString()
-  };
-  res.setHeader('Content-Type', 'application/json');
-  res.status(200).json(response);
-});
-
-// Simple text endpoint for basic uptime monitoring
-app.get('/ping', (req, res) => {
-  res.status(200).send('pong');
-});
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  const timeBasedRound = getCurrentRound();
-  const roundMultiplier = getMultiplierForRound(currentRound);
-  const activeConnections = io.engine.clientsCount;
-  
-  res.json({ 
-    status: 'healthy', 
-    gamePhase, 
-    currentRound, 
-    timeBasedRound,
-    roundDifference: currentRound - timeBasedRound,
-    queueSize: multiplierQueue.length,
-    currentMultiplier: gamePhase === 'flying' ? currentMultiplier : roundMultiplier,
-    nextMultiplier: multiplierQueue.length > 0 ? multiplierQueue[0] : null,
-    connections: {
-      active: activeConnections,
-      total: connectionStats.totalConnections,
-      disconnections: connectionStats.totalDisconnections,
-      lastConnection: connectionStats.lastConnectionTime ? new Date(connectionStats.lastConnectionTime).toISOString() : null,
-      lastDisconnection: connectionStats.lastDisconnectionTime ? new Date(connectionStats.lastDisconnectionTime).toISOString() : null
+
+  const io = socketIo(server, {
+    cors: {
+      origin: ALLOWED_ORIGINS,
+      methods: ["GET", "POST"]
     },
-    clients: Array.from(clientStates.entries()).map(([id, state]) => ({
-      id: id.substring(0, 8) + '...',
-      round: state.currentRound,
-      synced: state.isSynced,
-      connectedFor: Math.floor((Date.now() - state.connectedAt) / 1000)
-    }))
-  });
-});
-
-// Queue endpoint for receiving multipliers from backend
-app.post('/queue', authenticateRequest, (req, res) => {
-  const { multipliers, startRound, currentRound: backendCurrentRound } = req.body;
-  
-  if (!multipliers || !Array.isArray(multipliers)) {
-    return res.status(400).json({ error: 'Invalid multipliers array' });
+    maxHttpBufferSize: SOCKET_MAX_PAYLOAD // Larger messages close the connection
+  });
+
+  // Every socket is a player (user id from its token), a spectator or an admin (API key)
+  io.use(createSocketAuth({
+    secret: PLAYER_TOKEN_SECRET,
+    allowSpectators: ALLOW_SPECTATORS,
+    authenticateAdmin: (presented) => {
+      const apiKey = API_KEYRING.authenticate(presented);
+      return apiKeys.hasScope(apiKey, 'events:read') ? apiKey : null;
+    }
+  }));
+
+  // Prometheus metrics (GET /metrics). Gauges are read from the tables at scrape time.
+  const registry = metrics.createRegistry();
+  const EVENT_LOOP_RESOLUTION = 20; // ms; the sampling timer's own interval is not lag
+  const eventLoopDelay = monitorEventLoopDelay({ resolution: EVENT_LOOP_RESOLUTION });
+  eventLoopDelay.enable();
+  const lagSeconds = (nanoseconds) => Math.max(0, nanoseconds / 1e6 - EVENT_LOOP_RESOLUTION) / 1000;
+  const socketsConnected = registry.counter('aviator_socket_connections_total', 'Socket connections accepted');
+  const socketDisconnects = registry.counter('aviator_socket_disconnects_total', 'Socket disconnections by reason');
+  registry.gauge('aviator_sockets_active', 'Connected sockets', () => io.engine.clientsCount);
+  const roundsPlayed = registry.counter('aviator_rounds_played_total', 'Rounds that crashed');
+  const crashPoints = registry.histogram('aviator_crash_point', 'Crash point of played rounds', [1.1, 1.2, 1.5, 2, 3, 5, 10, 20, 50, 100, 1000]);
+  const phaseDurations = registry.histogram('aviator_phase_duration_seconds', 'Time spent in each phase', [0.5, 1, 2, 3, 5, 6, 8, 10, 15, 20, 30, 60, 120, 300]);
+  registry.gauge('aviator_queue_depth', 'Rounds queued and not played yet', () => Array.from(tables.values())
+    .map(table => ({ labels: { table: table.id }, value: table.queueStatus().queueSize })));
+  registry.gauge('aviator_round_drift', 'Current round minus the time-based round', () => Array.from(tables.values())
+    .map(table => ({ labels: { table: table.id }, value: table.currentRound - getCurrentRound() })));
+  registry.gauge('aviator_game_phase', 'Current phase of each table (1 for the active phase)', () => Array.from(tables.values())
+    .flatMap(table => ['wait', 'betting', 'flying', 'crashed'].map(phase => ({ labels: { table: table.id, phase }, value: table.gamePhase === phase ? 1 : 0 }))));
+  const eventsEmitted = registry.counter('aviator_events_emitted_total', 'Socket.IO events sent by the game loop');
+  registry.gauge('aviator_event_loop_lag_seconds', 'Event loop delay since the previous scrape', () => {
+    const samples = [
+      { labels: { quantile: '0.5' }, value: lagSeconds(eventLoopDelay.percentile(50)) },
+      { labels: { quantile: '0.99' }, value: lagSeconds(eventLoopDelay.percentile(99)) },
+      { labels: { quantile: '1' }, value: lagSeconds(eventLoopDelay.max) }
+    ];
+    eventLoopDelay.reset();
+    return samples;
+  });
+  const incidentsRecorded = registry.counter('aviator_incidents_total', 'Watchdog repairs and stale timers by type');
+  const recoveries = registry.counter('aviator_recoveries_total', 'Recoveries run, by the watchdog or POST /recover');
+  const limitHits = registry.counter('aviator_limit_hits_total', 'Requests, events and connections refused by a limit');
+  const bansIssued = registry.counter('aviator_bans_total', 'IPs banned for flooding socket events');
+  registry.gauge('aviator_banned_ips', 'IPs banned right now', () => banList.size);
+  registry.gauge('aviator_feed_consecutive_failures', 'Failed pulls in a row (pull mode)', () => Array.from(feeds.entries())
+    .map(([tableId, feed]) => ({ labels: { table: tableId }, value: feed.health().consecutiveFailures })));
+  registry.gauge('aviator_cluster_leader', 'Whether this instance runs the game loops', () => (!cluster || cluster.isLeader ? 1 : 0));
+
+  // Phase durations come from consecutive transitions of a table
+  const lastTransitions = new Map(); // tableId -> last transition event
+  function observeTransition(tableId, event) {
+    const previous = lastTransitions.get(tableId);
+    if (previous && event.type !== 'restore') {
+      phaseDurations.observe({ table: tableId, phase: event.from }, (event.at - previous.at) / 1000);
+    }
+    lastTransitions.set(tableId, event);
+    if (event.type === 'crash') {
+      roundsPlayed.inc({ table: tableId });
+      crashPoints.observe({ table: tableId }, event.crashPoint);
+    }
+  }
+
+  // Watchdog interventions and stale timers, one JSON line each
+  const incidentLog = createAuditLog({ path: INCIDENT_LOG_PATH });
+  let incidentCount = 0;
+
+  function recordIncident(incident) {
+    incidentCount++;
+    incidentsRecorded.inc({ table: incident.tableId, type: incident.type });
+    if (incident.action === 'recover') {
+      recoveries.inc({ table: incident.tableId, source: 'watchdog' });
+    }
+    return incidentLog.record({ id: incidentCount, ...incident });
+  }
+
+  // Every curve strategy, and the curve of every table, must start at 1.00, never go down and
+  // reach each crash point exactly when its flight ends; a table's curve also within 5 minutes
+  if (!selfCheck(TABLE_CONFIGS.map(config => createCurve(gameConfig.curveOptions(config)))).ok) {
+    throw new Error('Curve self-check failed, see the errors above');
   }
-  
-  // Add multipliers to queue with round tracking
-  const previousQueueSize = multiplierQueue.length;
-  
-  // Handle both old format (array of numbers) and new format (array of objects)
-  const multiplierValues = multipliers.map(item => 
-    typeof item === 'number' ? item : item.multiplier
-  );
-  multiplierQueue.push(...multiplierValues);
-  
-  // Store multipliers with their round numbers
-  multipliers.forEach((item, index) => {
-    const multiplier = typeof item === 'number' ? item : item.multiplier;
-    const roundNumber = typeof item === 'number' ? (startRound + index) : item.round_number;
-    roundMultipliers.set(roundNumber, multiplier);
-    console.log(`📋 Mapped round ${roundNumber} → multiplier ${multiplier}`);
-  });
-  
-  console.log(`📥 Queued ${multiplierValues.length} multipliers: [${multiplierValues.join(', ')}]`);
-  console.log(`📊 Queue size: ${previousQueueSize} → ${multiplierQueue.length}`);
-  console.log(`📋 Full queue: [${multiplierQueue.join(', ')}]`);
-  console.log(`⏰ Backend start round: ${startRound}`);
-  console.log(`🗺️ Round multipliers: ${Array.from(roundMultipliers.entries()).slice(-5).map(([r, m]) => `${r}:${m}`).join(', ')}`);
-  
-  // Start simulation if not already running or if we're in crashed phase
-  if ((gamePhase === 'wait' || gamePhase === 'crashed') && multiplierQueue.length > 0) {
-    console.log(`🚀 Starting simulation with ${multiplierQueue.length} multipliers in queue (phase: ${gamePhase})`);
-    
-    // Ensure we start with the correct round
-    if (startRound) {
-      if (currentRound === 0) {
-        // First time initialization - set to the exact startRound
-        currentRound = startRound;
-        console.log(`🎯 First time sync: setting current round to ${startRound}`);
-      } else if (currentRound < startRound) {
-        // Socket server is behind, catch up to the exact startRound
-        console.log(`🎯 Catching up: ${currentRound} → ${startRound}`);
-        currentRound = startRound;
-      } else if (currentRound > startRound) {
-        // Socket server is ahead, this might indicate a gap
-        console.log(`⚠️ Socket ahead: ${currentRound} > ${startRound}, checking for gaps`);
-        // Check if we have the multiplier for the expected round
-        if (!roundMultipliers.has(currentRound)) {
-          console.log(`🔍 Gap detected: no multiplier for round ${currentRound}, jumping to ${startRound}`);
-          currentRound = startRound;
+
+  // Game tables
+  const tables = new Map(); // tableId -> table
+  const feeds = new Map(); // tableId -> pull feed (pull mode only)
+  let cluster = null;
+  TABLE_CONFIGS.forEach((config, index) => {
+    tables.set(config.id, createTable({
+      id: config.id,
+      io,
+      clock,
+      scheduler,
+      active: CLUSTER_MODE === 'off', // In a cluster tables start as replicas until the lease is won
+      onEmit: (event, payload, to) => {
+        eventsEmitted.inc({ table: config.id, event });
+        if (cluster) cluster.publishEvent(config.id, event, payload, to);
+      },
+      onStateChange: (state) => cluster && cluster.publishState(config.id, state),
+      onQueueLevel: (level) => level !== 'ok' && feeds.has(config.id) && feeds.get(config.id).wake(),
+      onIncident: recordIncident,
+      onTransition: (event) => observeTransition(config.id, event),
+      store: storage.createStore(STORAGE_TYPE, { path: tableStoragePath(config.id, index) }),
+      ...gameConfig.tableSettings(config),
+      sealedRounds: SEALED_ROUNDS,
+      roundRetention: ROUND_RETENTION,
+      historySnapshotSize: HISTORY_SNAPSHOT_SIZE,
+      liveBetsInterval: LIVE_BETS_INTERVAL,
+      leaderboardWindows: LEADERBOARD_WINDOWS,
+      leaderboardSize: LEADERBOARD_SIZE,
+      conflictMode: QUEUE_CONFLICT_MODE,
+      queueLowWater: QUEUE_LOW_WATER,
+      provablyFair: {
+        mode: PROVABLY_FAIR,
+        clientSeed: PROVABLY_FAIR_CLIENT_SEED,
+        chainLength: PROVABLY_FAIR_CHAIN_LENGTH,
+        secret: env.PROVABLY_FAIR_SECRET
+      }
+    }));
+  });
+  const defaultTable = tables.get(TABLE_CONFIGS[0].id);
+
+  if (FEED_URL) {
+    tables.forEach(table => {
+      feeds.set(table.id, createFeed({
+        table,
+        url: FEED_URL,
+        token: FEED_TOKEN,
+        enqueue: (batch) => runTableAction(table, 'enqueue', batch),
+        lowWater: QUEUE_LOW_WATER,
+        batchSize: FEED_BATCH_SIZE,
+        pollInterval: FEED_POLL_INTERVAL,
+        retryMax: FEED_RETRY_MAX,
+        clock,
+        scheduler
+      }));
+    });
+  }
+
+  const watchdog = createWatchdog({
+    tables,
+    scheduler,
+    interval: WATCHDOG_INTERVAL,
+    grace: WATCHDOG_GRACE,
+    onIncident: recordIncident
+  });
+
+  // Table actions a replica forwards to the leader
+  const FORWARDED_ACTIONS = ['enqueue', 'triggerNext', 'forceStart', 'recover', 'updateSettings', 'placeBet', 'cashOutBet'];
+
+  if (CLUSTER_MODE !== 'off') {
+    cluster = createCluster({
+      adapter: pubsub.createAdapter(CLUSTER_MODE, { url: REDIS_URL, clock }),
+      instanceId: INSTANCE_ID,
+      leaseTtl: CLUSTER_LEASE_TTL,
+      scheduler,
+      onPromote: () => tables.forEach(table => table.promote()),
+      onDemote: () => tables.forEach(table => table.demote()),
+      onEvent: ({ tableId, event, payload, to }) => {
+        const table = tables.get(tableId);
+        if (table) table.relay(event, payload, to);
+      },
+      onState: ({ tableId, state }) => {
+        const table = tables.get(tableId);
+        if (table) table.importState(state);
+      },
+      onSyncRequest: () => tables.forEach(table => cluster.publishState(table.id, table.exportState())),
+      onCommand: ({ tableId, action, args }) => {
+        const table = tables.get(tableId);
+        if (!table) {
+          throw new Error(`Unknown table ${tableId}`);
         }
-      } else {
-        // Socket server is exactly in sync
-        console.log(`✅ Socket server in sync: ${currentRound} = ${startRound}`);
+        if (!FORWARDED_ACTIONS.includes(action)) {
+          throw new Error(`Action ${action} cannot be forwarded`);
+        }
+        return table[action](...args);
       }
+    });
+  }
+
+  // Run a table action here when this instance runs the game loop, on the leader otherwise
+  function runTableAction(table, action, ...args) {
+    if (table.active) {
+      return Promise.resolve(table[action](...args));
     }
-    
-    // If we're in crashed phase, transition to wait first
-    if (gamePhase === 'crashed') {
-      console.log(`🔄 Transitioning from crashed to wait phase`);
-      gamePhase = 'wait';
-    }
-    
-    console.log(`🎮 Starting simulation from round ${currentRound}`);
-    startNextRound();
-  } else if (gamePhase !== 'wait' && gamePhase !== 'crashed') {
-    console.log(`⏳ Simulation already running (phase: ${gamePhase}), queue will be processed after current round`);
+    return cluster.request(table.id, action, args);
   }
-  
-  res.json({ success: true, queueSize: multiplierQueue.length });
-});
-
-// Debug endpoint to show current state
-app.get('/debug', (req, res) => {
-  const timeBasedRound = getCurrentRound();
-  const roundMultiplier = getMultiplierForRound(currentRound);
-  
-  // Allow specifying a reference round via query parameter
-  const referenceRound = req.query.round ? parseInt(req.query.round) : currentRound;
-  
-  // Get the actual recent rounds (referenceRound-1 down to referenceRound-10)
-  const recentRounds = [];
-  for (let i = 1; i <= 10; i++) {
-    const roundNumber = referenceRound - i;
-    if (roundNumber > 0) {
-      const multiplier = roundMultipliers.get(roundNumber);
-      if (multiplier) {
-        recentRounds.push([roundNumber, multiplier]);
-      }
+
+  function clusterView() {
+    if (!cluster) {
+      return { mode: 'off' };
     }
+    return {
+      mode: CLUSTER_MODE,
+      instanceId: cluster.instanceId,
+      role: cluster.isLeader ? 'leader' : 'replica',
+      leaderId: cluster.leaderId
+    };
+  }
+
+  // How the table gets its multipliers, with the pull feed's health
+  function feedView(table) {
+    const feed = feeds.get(table.id);
+    return feed ? feed.health() : { mode: 'push' };
   }
-  
-  res.json({ 
-    gamePhase, 
-    currentRound, 
-    timeBasedRound,
-    roundDifference: currentRound - timeBasedRound,
-    queueSize: multiplierQueue.length,
-    currentMultiplier: gamePhase === 'flying' ? currentMultiplier : roundMultiplier,
-    crashPoint,
-    queuePreview: multiplierQueue.slice(0, 5),
-    roundMultipliers: recentRounds, // Return actual recent rounds
-    activeTimers: {
-      simulationInterval: !!simulationInterval,
-      bettingTimer: !!bettingTimer,
-      waitTimer: !!waitTimer
-    }
-  });
-});
-
-// Current game state endpoint for late joiners
-app.get('/current-state', (req, res) => {
-  res.json({
-    currentRound,
-    gamePhase,
-    currentMultiplier,
-    crashPoint,
-    roundStartTime: gamePhase === 'flying' ? Date.now() - (currentMultiplier > 1.0 ? 3000 : 0) : null,
-    bettingEndTime: gamePhase === 'betting' ? Date.now() + (BETTING_PHASE_DURATION - (Date.now() % BETTING_PHASE_DURATION)) : null
-  });
-});
-
-// Manual trigger endpoint (for testing)
-app.post('/trigger-next', authenticateRequest, (req, res) => {
-  if ((gamePhase === 'wait' || gamePhase === 'crashed') && multiplierQueue.length > 0) {
-    console.log(`🔧 Manual trigger: Starting next round from phase ${gamePhase}`);
-    if (gamePhase === 'crashed') {
-      gamePhase = 'wait';
-    }
-    startNextRound();
-    res.json({ success: true, message: 'Next round triggered' });
-  } else {
-    res.json({ success: false, message: `Cannot trigger next round. Phase: ${gamePhase}, Queue: ${multiplierQueue.length}` });
+
+  function tableHealth(table, showSecrets) {
+    return {
+      ...withRoundDrift(table.healthView(showSecrets)),
+      feed: feedView(table)
+    };
+  }
+
+  // 503 for requests that need the game loop while no leader is reachable
+  function leaderUnavailable(res, error) {
+    logger.error(`❌ Forwarding to leader failed`, { error });
+    res.status(503).json({ error: 'Leader unavailable', reason: error.message });
   }
-});
-
-// Test endpoint to check multiplier for a specific round
-app.get('/test-round/:round', (req, res) => {
-  const round = parseInt(req.params.round, 10);
-  const multiplier = getMultiplierForRound(round);
-  res.json({ 
-    round, 
-    multiplier, 
-    hasMultiplier: roundMultipliers.has(round),
-    allRounds: Array.from(roundMultipliers.keys()).sort((a, b) => a - b),
-    recentRounds: Array.from(roundMultipliers.entries()).slice(-10)
-  });
-});
-
-// Force start simulation endpoint (for debugging)
-app.post('/force-start', authenticateRequest, (req, res) => {
-  console.log(`🔧 Force start: Current phase ${gamePhase}, queue size ${multiplierQueue.length}`);
-  
-  if (multiplierQueue.length === 0) {
-    return res.json({ success: false, message: 'No multipliers in queue' });
+
+  // Client-specific state tracking, one session per user so several tabs count as one player.
+  // Spectators are anonymous: each spectator socket is its own session. Admin sockets are
+  // grouped by API key name.
+  const clientStates = new Map(); // sessionKey -> { userId, role, connectedAt, sockets: socketId -> { tableId, currentRound, isSynced, connectedAt } }
+  const connectionStats = {
+    totalConnections: 0,
+    activeConnections: 0,
+    totalDisconnections: 0,
+    lastConnectionTime: null,
+    lastDisconnectionTime: null,
+    limits: {
+      httpRateLimited: 0,
+      socketRateLimited: 0,
+      connectionsRefused: 0,
+      payloadsRejected: 0,
+      bans: 0
+    }
+  };
+
+  // Connection monitoring
+  function logConnectionStats() {
+    const activeCount = io.engine.clientsCount;
+    socketLogger.info(`📊 Connection Stats: ${activeCount} active, ${connectionStats.totalConnections} total connections, ${connectionStats.totalDisconnections} disconnections`);
+    const { limits } = connectionStats;
+    if (limits.httpRateLimited + limits.socketRateLimited + limits.connectionsRefused + limits.payloadsRejected > 0) {
+      socketLogger.info(`🚦 Limits hit: ${limits.httpRateLimited} requests, ${limits.socketRateLimited} events, ${limits.connectionsRefused} connections, ${limits.payloadsRejected} payloads refused, ${limits.bans} bans`);
+    }
+
+    // Log client details if there are active connections
+    if (activeCount > 0 && socketLogger.enabled('debug')) {
+      const clientDetails = Array.from(clientStates.entries()).map(([key, session]) => ({
+        ...sessionSummary(key, session),
+        connectedFor: Math.floor((Date.now() - session.connectedAt) / 1000) + 's'
+      }));
+      socketLogger.debug(`👥 Active clients`, { clients: clientDetails });
+    }
   }
-  
-  // Force transition to wait phase if needed
-  if (gamePhase !== 'wait') {
-    console.log(`🔄 Force transitioning from ${gamePhase} to wait phase`);
-    gamePhase = 'wait';
+
+  function sessionKey(socket) {
+    return socket.data.role === 'spectator' ? `spectator:${socket.id}` : socket.data.userId;
   }
-  
-  // Set current round if not set
-  if (currentRound === 0) {
-    const firstRound = Math.min(...Array.from(roundMultipliers.keys()));
-    currentRound = firstRound;
-    console.log(`🎯 Force setting current round to ${currentRound}`);
+
+  function socketState(socket) {
+    const session = clientStates.get(sessionKey(socket));
+    return session && session.sockets.get(socket.id);
   }
-  
-  console.log(`🚀 Force starting simulation from round ${currentRound}`);
-  startNextRound();
-  
-  res.json({ 
-    success: true, 
-    message: 'Simulation force started',
-    currentRound,
-    gamePhase,
-    queueSize: multiplierQueue.length
-  });
-});
-
-// Recovery endpoint to force next round if stuck
-app.post('/recover', authenticateRequest, (req, res) => {
-  console.log(`🔧 Recovery requested: Current phase ${gamePhase}, queue size ${multiplierQueue.length}`);
-  
-  // Clear any existing timers
-  if (simulationInterval) {
-    clearInterval(simulationInterval);
-    simulationInterval = null;
+
+  // Room of all sockets of one user; bet events for a player go there
+  function userRoom(userId) {
+    return `user:${userId}`;
   }
-  if (bettingTimer) {
-    clearTimeout(bettingTimer);
-    bettingTimer = null;
+
+  // Shortened session details for public output
+  function sessionSummary(key, session) {
+    const sockets = Array.from(session.sockets.values());
+    return {
+      id: key.substring(0, 8) + '...',
+      role: session.role,
+      sockets: sockets.length,
+      tables: Array.from(new Set(sockets.map(state => state.tableId))),
+      synced: sockets.every(state => state.isSynced)
+    };
   }
-  if (waitTimer) {
-    clearTimeout(waitTimer);
-    waitTimer = null;
+
+  // Full session details for the admin API
+  function sessionDetails(session) {
+    return {
+      userId: session.userId,
+      role: session.role,
+      displayName: session.displayName,
+      private: session.private,
+      connectedAt: new Date(session.connectedAt).toISOString(),
+      sockets: Array.from(session.sockets.entries()).map(([socketId, state]) => ({
+        socketId,
+        tableId: state.tableId,
+        round: state.currentRound,
+        synced: state.isSynced,
+        connectedAt: new Date(state.connectedAt).toISOString()
+      }))
+    };
   }
-  
-  // Force transition to crashed phase if in flying
-  if (gamePhase === 'flying') {
-    console.log(`🔄 Force crashing round ${currentRound}`);
-    crashRound();
-    res.json({ success: true, message: 'Forced crash and moving to next round' });
-    return;
+
+  // Monitor connections every 30 seconds
+  const statsTimer = setInterval(logConnectionStats, 30000);
+
+  // Abuse protection: token buckets per IP (HTTP) and per socket (events), a cap on the
+  // sockets of one IP, and bans of IPs whose sockets keep flooding events
+  const httpLimiter = HTTP_RATE_LIMIT > 0 ? rateLimit.createRateLimiter({ rate: HTTP_RATE_LIMIT, burst: HTTP_RATE_BURST, clock }) : null;
+  const socketLimiter = SOCKET_RATE_LIMIT > 0 ? rateLimit.createRateLimiter({ rate: SOCKET_RATE_LIMIT, burst: SOCKET_RATE_BURST, clock }) : null;
+  // Refused events: a socket may go over its limit SOCKET_FLOOD_LIMIT times a minute
+  const floodLimiter = SOCKET_FLOOD_LIMIT > 0 ? rateLimit.createRateLimiter({ rate: SOCKET_FLOOD_LIMIT / 60, burst: SOCKET_FLOOD_LIMIT, clock }) : null;
+  const banList = rateLimit.createBanList({ duration: BAN_DURATION, clock });
+  const socketsPerIp = new Map(); // ip -> open sockets
+
+  function recordLimitHit(limit) {
+    limitHits.inc({ limit });
   }
-  
-  // Force transition to wait phase if in crashed
-  if (gamePhase === 'crashed') {
-    console.log(`🔄 Force moving to next round from crashed phase`);
-    gamePhase = 'wait';
-    currentRound++;
-    
-    if (multiplierQueue.length > 0) {
-      console.log(`🚀 Starting next round with ${multiplierQueue.length} multipliers in queue`);
-      startNextRound();
-      res.json({ success: true, message: 'Started next round' });
-    } else {
-      console.log(`⏸️ No multipliers in queue, waiting for backend...`);
-      res.json({ success: true, message: 'Moved to wait phase, waiting for multipliers' });
-    }
-    return;
+
+  // Same rule as Express's req.ip with `trust proxy`: the first X-Forwarded-For address
+  function socketIp(socket) {
+    const forwarded = TRUST_PROXY && socket.handshake.headers['x-forwarded-for'];
+    return forwarded ? forwarded.split(',')[0].trim() : socket.handshake.address;
   }
-  
-  // If in betting phase, force to flying
-  if (gamePhase === 'betting') {
-    console.log(`🔄 Force starting flying phase`);
-    startFlyingPhase();
-    res.json({ success: true, message: 'Forced flying phase start' });
-    return;
+
+  // Banned IPs and IPs with MAX_SOCKETS_PER_IP open sockets cannot connect (admins can)
+  io.use((socket, next) => {
+    if (socket.data.role === 'admin') {
+      return next();
+    }
+    const ip = socketIp(socket);
+    const ban = banList.check(ip);
+    if (ban) {
+      connectionStats.limits.connectionsRefused++;
+      recordLimitHit('banned');
+      return next(new Error('banned'));
+    }
+    if (MAX_SOCKETS_PER_IP > 0 && (socketsPerIp.get(ip) || 0) >= MAX_SOCKETS_PER_IP) {
+      connectionStats.limits.connectionsRefused++;
+      recordLimitHit('sockets_per_ip');
+      socketLogger.debug(`🚫 Too many sockets from one IP`, { ip, limit: MAX_SOCKETS_PER_IP });
+      return next(new Error('too_many_connections'));
+    }
+    next();
+  });
+
+  // Drop the IP and socket buckets that have refilled, and bans that are over
+  const pruneTimer = setInterval(() => {
+    [httpLimiter, socketLimiter, floodLimiter].forEach(limiter => limiter && limiter.prune());
+    banList.prune();
+  }, 60000);
+
+  // Middleware
+  app.set('trust proxy', TRUST_PROXY);
+  app.use(cors({ origin: ALLOWED_ORIGINS }));
+  // Requests with a valid API key (backend, admins) are not rate limited
+  if (httpLimiter) {
+    app.use(rateLimit.httpRateLimit(httpLimiter, {
+      skip: (req) => requestApiKey(req) !== null,
+      onLimited: () => {
+        connectionStats.limits.httpRateLimited++;
+        recordLimitHit('http_rate');
+      }
+    }));
   }
-  
-  // If in wait phase, try to start next round
-  if (gamePhase === 'wait') {
-    if (multiplierQueue.length > 0) {
-      console.log(`🚀 Starting next round with ${multiplierQueue.length} multipliers in queue`);
-      startNextRound();
-      res.json({ success: true, message: 'Started next round' });
-    } else {
-      console.log(`⏸️ No multipliers in queue, waiting for backend...`);
-      res.json({ success: true, message: 'Waiting for multipliers from backend' });
-    }
-    return;
+  app.use(express.json({ limit: JSON_BODY_LIMIT }));
+  // JSON bodies that are too large or malformed
+  app.use((error, req, res, next) => {
+    if (error.type === 'entity.too.large') {
+      connectionStats.limits.payloadsRejected++;
+      recordLimitHit('payload_size');
+      return res.status(413).json({ error: 'Payload too large', limit: JSON_BODY_LIMIT });
+    }
+    if (error.type === 'entity.parse.failed') {
+      return res.status(400).json({ error: 'Invalid JSON' });
+    }
+    next(error);
+  });
+
+  // Admin actions, one JSON line each
+  const auditLog = createAuditLog({ path: AUDIT_LOG_PATH });
+
+  // Authentication middleware: `Authorization: Bearer <api key>`
+  function requestApiKey(req) {
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    return match ? API_KEYRING.authenticate(match[1]) : null;
   }
-  
-  res.json({ success: false, message: 'Unknown game phase' });
-});
-
-// Socket.IO connection handling
-io.on('connection', (socket) => {
-  console.log(`🔌 Client connected: ${socket.id}`);
-  
-  // Update connection stats
-  connectionStats.totalConnections++;
-  connectionStats.activeConnections = io.engine.clientsCount;
-  connectionStats.lastConnectionTime = Date.now();
-  
-  // Initialize client state
-  clientStates.set(socket.id, { 
-    currentRound: currentRound, 
-    isSynced: false,
-    connectedAt: Date.now()
-  });
-  
-  // Send current game state to new connection immediately
-  const currentState = {
-    currentRound,
-    gamePhase,
-    currentMultiplier: gamePhase === 'flying' ? currentMultiplier : (crashPoint || 1.00),
-    crashPoint
+
+  const requireScope = (scope) => (req, res, next) => {
+    const apiKey = requestApiKey(req);
+    if (!apiKey) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    req.apiKey = apiKey;
+    if (!apiKeys.hasScope(apiKey, scope)) {
+      return res.status(403).json({ error: 'Forbidden', requiredScope: scope });
+    }
+    next();
+  };
+
+  // Audit the action once the response is sent, including refused attempts (actor null).
+  // Handlers can add details in req.auditDetails.
+  const audited = (action) => (req, res, next) => {
+    res.on('finish', () => {
+      auditLog.record({
+        actor: req.apiKey ? req.apiKey.name : null,
+        action,
+        method: req.method,
+        path: req.originalUrl,
+        tableId: req.table ? req.table.id : null,
+        ip: req.ip,
+        status: res.statusCode,
+        ...req.auditDetails
+      });
+    });
+    next();
   };
-  
-  console.log(`📤 Sending initial state to ${socket.id}:`, currentState);
-  socket.emit('game:state', currentState);
-  
-  // Send current round info
-  const roundInfo = {
-    round: currentRound,
-    phase: gamePhase,
-    multiplier: gamePhase === 'flying' ? currentMultiplier : (crashPoint || 1.00),
-    crashPoint
+
+  // Table selection middleware: `?table=<id>` or `tableId` in the body, default table otherwise
+  const resolveTable = (req, res, next) => {
+    const tableId = req.query.table || (req.body && req.body.tableId) || defaultTable.id;
+    const table = tables.get(tableId);
+    if (!table) {
+      return res.status(404).json({ error: 'Unknown table', tableId, tables: Array.from(tables.keys()) });
+    }
+    req.table = table;
+    next();
   };
-  
-  console.log(`📤 Sending round info to ${socket.id}:`, roundInfo);
-  socket.emit('round:info', roundInfo);
-  
-  // If currently in betting phase, send betting info
-  if (gamePhase === 'betting') {
-    const bettingInfo = {
-      round: currentRound,
-      crashPoint: crashPoint
-    };
-    console.log(`📤 Sending betting info to ${socket.id}:`, bettingInfo);
-    socket.emit('round:start', bettingInfo);
+
+  // Debug routes answer 404 (the catch-all) outside development
+  const developmentOnly = (req, res, next) => next(IS_DEVELOPMENT ? undefined : 'route');
+
+  // Sealed rounds hide crash points from requests without the debug:read scope
+  function canSeeSecrets(req) {
+    return !SEALED_ROUNDS || apiKeys.hasScope(requestApiKey(req), 'debug:read');
   }
-  
-  // If currently in flying phase, send flying info
-  if (gamePhase === 'flying') {
-    const flyingInfo = {
-      round: currentRound,
-      multiplier: currentMultiplier,
-      crashPoint: crashPoint
+
+  function withRoundDrift(view) {
+    const timeBasedRound = getCurrentRound();
+    return {
+      ...view,
+      timeBasedRound,
+      roundDifference: view.currentRound - timeBasedRound
     };
-    console.log(`📤 Sending flying info to ${socket.id}:`, flyingInfo);
-    socket.emit('round:flying', flyingInfo);
   }
-  
-  // If currently crashed, send crash info
-  if (gamePhase === 'crashed') {
-    const crashInfo = {
-      round: currentRound,
-      crashPoint: crashPoint
+
+  // Root endpoint for uptime monitoring (must be first)
+  app.get('/', (req, res) => {
+    const response = {
+      status: 'ok',
+      service: 'aviator-socket-server',
+      timestamp: new Date().toISOString()
     };
-    console.log(`📤 Sending crash info to ${socket.id}:`, crashInfo);
-    socket.emit('round:crash', crashInfo);
-  }
-  
-  // Mark client as synced
-  const clientState = clientStates.get(socket.id);
-  if (clientState) {
-    clientState.isSynced = true;
-    clientState.currentRound = currentRound;
-  }
-  
-  // Handle client disconnection
-  socket.on('disconnect', (reason) => {
-    console.log(`🔌 Client disconnected: ${socket.id}, reason: ${reason}`);
-    
-    // Update disconnection stats
-    connectionStats.totalDisconnections++;
-    connectionStats.activeConnections = io.engine.clientsCount;
-    connectionStats.lastDisconnectionTime = Date.now();
-    
-    clientStates.delete(socket.id);
-  });
-  
-  // Handle client errors
-  socket.on('error', (error) => {
-    console.error(`❌ Socket error for ${socket.id}:`, error);
-  });
-  
-  // Handle client requesting current state
-  socket.on('request:state', () => {
-    console.log(`📤 Client ${socket.id} requested current state`);
-    socket.emit('game:state', {
-      currentRound,
-      gamePhase,
-      currentMultiplier: gamePhase === 'flying' ? currentMultiplier : (crashPoint || 1.00),
-      crashPoint
+    res.setHeader('Content-Type', 'application/json');
+    res.status(200).json(response);
+  });
+
+  // Simple text endpoint for basic uptime monitoring
+  app.get('/ping', (req, res) => {
+    res.status(200).send('pong');
+  });
+
+  // Health check endpoint. Top-level game fields describe the default table.
+  app.get('/health', (req, res) => {
+    const activeConnections = io.engine.clientsCount;
+    const showSecrets = canSeeSecrets(req);
+
+    res.json({
+      status: 'healthy',
+      ...tableHealth(defaultTable, showSecrets),
+      cluster: clusterView(),
+      watchdog: {
+        ...watchdog.view(),
+        incidents: incidentCount,
+        lastIncident: incidentLog.list(1)[0] || null
+      },
+      tables: Array.from(tables.values()).map(table => tableHealth(table, showSecrets)),
+      connections: {
+        active: activeConnections,
+        total: connectionStats.totalConnections,
+        disconnections: connectionStats.totalDisconnections,
+        lastConnection: connectionStats.lastConnectionTime ? new Date(connectionStats.lastConnectionTime).toISOString() : null,
+        lastDisconnection: connectionStats.lastDisconnectionTime ? new Date(connectionStats.lastDisconnectionTime).toISOString() : null
+      },
+      limits: {
+        ...connectionStats.limits,
+        bannedIps: banList.size
+      },
+      clients: Array.from(clientStates.entries()).map(([key, session]) => ({
+        ...sessionSummary(key, session),
+        connectedFor: Math.floor((Date.now() - session.connectedAt) / 1000)
+      }))
     });
   });
-  
-  // Handle client requesting round info
-  socket.on('request:round-info', () => {
-    console.log(`📤 Client ${socket.id} requested round info`);
-    socket.emit('round:info', {
-      round: currentRound,
-      phase: gamePhase,
-      multiplier: gamePhase === 'flying' ? currentMultiplier : (crashPoint || 1.00),
-      crashPoint
+
+  // Prometheus scrape endpoint
+  app.get('/metrics', (req, res) => {
+    res.set('Content-Type', metrics.CONTENT_TYPE);
+    res.send(registry.render());
+  });
+
+  // Table list
+  app.get('/tables', (req, res) => {
+    res.json({
+      defaultTable: defaultTable.id,
+      tables: Array.from(tables.values()).map(table => ({
+        tableId: table.id,
+        gamePhase: table.gamePhase,
+        currentRound: table.currentRound,
+        players: io.sockets.adapter.rooms.has(table.room) ? io.sockets.adapter.rooms.get(table.room).size : 0
+      }))
     });
   });
-});
 
-// Game simulation functions
-function startNextRound() {
-  if (multiplierQueue.length === 0) {
-    console.log('⏸️ No multipliers in queue, pausing simulation');
-    gamePhase = 'wait';
-    return;
-  }
-  
-  // Get the correct multiplier for this round from the roundMultipliers map
-  const roundMultiplier = roundMultipliers.get(currentRound);
-  if (!roundMultiplier) {
-    console.log(`⚠️ No multiplier found for round ${currentRound}, checking queue...`);
-    // Check if we have a multiplier in the queue that we can use
-    if (multiplierQueue.length > 0) {
-      crashPoint = multiplierQueue.shift();
-      console.log(`   Using queue fallback: ${crashPoint}x`);
-    } else {
-      console.log(`   No multipliers available, waiting...`);
-      gamePhase = 'wait';
-      return;
-    }
-  } else {
-    crashPoint = roundMultiplier;
-    // Remove from queue to keep it in sync
-    if (multiplierQueue.length > 0) {
-      multiplierQueue.shift();
-    }
-    console.log(`   Using mapped multiplier: ${crashPoint}x`);
-  }
-  
-  // currentRound is already set to the correct value from backend sync
-  currentMultiplier = 1.00;
-  
-  console.log(`🎮 Starting round ${currentRound} with crash point: ${crashPoint}x (from roundMultipliers: ${roundMultipliers.has(currentRound)})`);
-  
-  // Start betting phase
-  gamePhase = 'betting';
-  console.log(`🎯 Emitting round:start with round ${currentRound}`);
-  io.emit('round:start', {
-    round: currentRound,
-    crashPoint: crashPoint
-  });
-  
-  // Transition to flying phase after betting duration
-  bettingTimer = setTimeout(() => {
-    startFlyingPhase();
-  }, BETTING_PHASE_DURATION);
-}
+  // Queue endpoint for receiving multipliers from backend
+  app.post('/queue', audited('queue:write'), requireScope('queue:write'), resolveTable, (req, res) => {
+    // Retries with the same Idempotency-Key header (or batchId) get the first response back
+    const idempotencyKey = req.get('Idempotency-Key') || req.body.batchId || null;
+    req.auditDetails = {
+      multipliers: Array.isArray(req.body.multipliers) ? req.body.multipliers.length : null,
+      startRound: req.body.startRound,
+      idempotencyKey
+    };
+    const { batchId, tableId, ...batch } = req.body;
+    runTableAction(req.table, 'enqueue', batch, { idempotencyKey: idempotencyKey ? String(idempotencyKey) : null })
+      .then(({ status, body, replayed }) => {
+        if (replayed) {
+          res.set('Idempotent-Replayed', 'true');
+        }
+        res.status(status).json(body);
+      })
+      .catch(error => leaderUnavailable(res, error));
+  });
 
-function startFlyingPhase() {
-  gamePhase = 'flying';
-  currentMultiplier = 1.00;
-  
-  // Validate crash point
-  if (!crashPoint || crashPoint <= 1.00) {
-    console.error(`❌ Invalid crash point: ${crashPoint}, forcing crash`);
-    crashRound();
-    return;
-  }
-  
-  console.log(`✈️ Starting flying phase for round ${currentRound} with EXACT crash point: ${crashPoint}x`);
-  
-  // Emit flying phase event to notify clients
-  io.emit('round:flying', {
-    round: currentRound,
-    multiplier: currentMultiplier,
-    crashPoint: crashPoint
-  });
-  
-  // Record start time for animation
-  startTime = Date.now();
-  const timeToCrash = estimateTimeToMultiplier(crashPoint);
-  
-  // Add safety check for infinite or invalid time
-  if (!timeToCrash || timeToCrash <= 0 || timeToCrash > 300) { // Max 5 minutes
-    console.error(`❌ Invalid time to crash: ${timeToCrash}, forcing crash`);
-    crashRound();
-    return;
-  }
-  
-  console.log(`⏱️ Animation duration: ${timeToCrash.toFixed(1)} seconds`);
-  
-  // Add safety timeout to prevent infinite flying phase
-  const safetyTimeout = setTimeout(() => {
-    console.error(`⚠️ Safety timeout reached for round ${currentRound}, forcing crash`);
-    if (simulationInterval) {
-      clearInterval(simulationInterval);
-      simulationInterval = null;
-    }
-    crashRound();
-  }, Math.min(timeToCrash * 1000 * 1.5, 300000)); // 1.5x the calculated time or 5 minutes max
-  
-  // Start multiplier animation with smooth, consistent behavior
-  let lastEmittedMultiplier = 1.00;
-  
-  simulationInterval = setInterval(() => {
-    // Calculate elapsed time since flying phase started
-    const elapsedMs = Date.now() - startTime;
-    const elapsedSec = elapsedMs / 1000;
-    
-    // Calculate progress (0 to 1) - NO random variations for smoothness
-    const progress = Math.min(1, elapsedSec / timeToCrash);
-    
-    // Calculate current multiplier
-    currentMultiplier = calculateMultiplier(progress, crashPoint);
-    
-    // Emit smooth progression updates (1.01, 1.02, 1.03, etc.)
-    // Use a smaller threshold to show gradual increments
-    if (Math.abs(currentMultiplier - lastEmittedMultiplier) >= 0.01) {
-      io.emit('multiplier:update', {
-        round: currentRound,
-        multiplier: currentMultiplier
-      });
-      lastEmittedMultiplier = currentMultiplier;
+  // Debug endpoint to show current state. Top-level fields describe the selected table.
+  app.get('/debug', developmentOnly, resolveTable, (req, res) => {
+    const showSecrets = canSeeSecrets(req);
+
+    // Allow specifying a reference round via query parameter
+    const referenceRound = req.query.round ? parseInt(req.query.round) : req.table.currentRound;
+
+    res.json({
+      ...withRoundDrift(req.table.debugView(showSecrets, referenceRound)),
+      tables: Array.from(tables.values()).map(table => withRoundDrift(table.debugView(showSecrets)))
+    });
+  });
+
+  // Current game state endpoint for late joiners
+  app.get('/current-state', resolveTable, (req, res) => {
+    res.json(req.table.gameSnapshot());
+  });
+
+  // Paginated history of completed rounds
+  app.get('/rounds', resolveTable, (req, res) => {
+    const { filters, error } = roundHistory.parseRoundQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.json(roundHistory.queryRounds(req.table.roundResults, filters));
+  });
+
+  // Timing details of one completed round
+  app.get('/rounds/:id', resolveTable, (req, res) => {
+    const round = parseInt(req.params.id, 10);
+    const result = req.table.roundResults.get(round);
+    if (!result) {
+      return res.status(404).json({ error: 'Round not found', round });
+    }
+    res.json(roundHistory.formatRoundDetail(result));
+  });
+
+  // Provably fair verification of a crashed round
+  app.get('/verify/:round', resolveTable, (req, res) => {
+    const { status, body } = req.table.verifyView(parseInt(req.params.round, 10));
+    res.status(status).json(body);
+  });
+
+  // Manual trigger endpoint (for testing)
+  app.post('/trigger-next', audited('game:trigger-next'), requireScope('game:control'), resolveTable, (req, res) => {
+    runTableAction(req.table, 'triggerNext')
+      .then(result => res.json(result))
+      .catch(error => leaderUnavailable(res, error));
+  });
+
+  // Test endpoint to check multiplier for a specific round
+  app.get('/test-round/:round', developmentOnly, resolveTable, (req, res) => {
+    const round = parseInt(req.params.round, 10);
+    res.json(req.table.testRoundView(round, canSeeSecrets(req)));
+  });
+
+  // Force start simulation endpoint (for debugging)
+  app.post('/force-start', audited('game:force-start'), requireScope('game:control'), resolveTable, (req, res) => {
+    runTableAction(req.table, 'forceStart')
+      .then(result => res.json(result))
+      .catch(error => leaderUnavailable(res, error));
+  });
+
+  // Recovery endpoint to force next round if stuck
+  app.post('/recover', audited('game:recover'), requireScope('game:control'), resolveTable, (req, res) => {
+    recoveries.inc({ table: req.table.id, source: 'manual' });
+    runTableAction(req.table, 'recover')
+      .then(result => res.json(result))
+      .catch(error => leaderUnavailable(res, error));
+  });
+
+  // Phase transitions of a table (state machine event log), oldest first. `?since=<seq>`
+  // returns the newer ones; the log can be replayed with replay() from lib/game-state-machine.js.
+  app.get('/events', requireScope('events:read'), resolveTable, (req, res) => {
+    const since = parseInt(req.query.since, 10) || 0;
+    res.json({ tableId: req.table.id, events: req.table.eventLog(since) });
+  });
+
+  // Watchdog incidents of this instance, newest first (`?table=` to filter, `?limit=` up to 200)
+  app.get('/incidents', requireScope('events:read'), (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const incidents = incidentLog.list()
+      .filter(incident => !req.query.table || incident.tableId === req.query.table)
+      .slice(0, limit);
+    res.json({ total: incidentCount, watchdog: watchdog.view(), incidents });
+  });
+
+  // Biggest wins and highest cash-out multipliers of a table (`?window=`, `?limit=`)
+  app.get('/leaderboard', resolveTable, (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || LEADERBOARD_SIZE, 1), LEADERBOARD_SIZE);
+    const view = req.table.leaderboardView(req.query.window || LEADERBOARD_WINDOWS[0].name, limit);
+    if (!view) {
+      return res.status(400).json({ error: 'Unknown window', window: req.query.window, windows: LEADERBOARD_WINDOWS.map(window => window.name) });
     }
-    
-    // Debug: Log smooth progression updates
-    if (currentMultiplier >= 1.0) {
-      console.log(`📊 ${currentMultiplier.toFixed(2)}x → ${crashPoint.toFixed(2)}x (${(progress * 100).toFixed(0)}%)`);
+    res.json(view);
+  });
+
+  // Timing and curve settings of every table, with changes waiting for the next round
+  app.get('/config', (req, res) => {
+    res.json({
+      file: GAME_CONFIG.file,
+      roundDuration: ROUND_DURATION,
+      tables: Array.from(tables.values()).map(table => table.configView())
+    });
+  });
+
+  // Change a table's timing and curve settings from its next round on. Clients get config:update
+  // when they take effect.
+  app.put('/admin/config', audited('config:update'), requireScope('config:write'), resolveTable, (req, res) => {
+    const { tableId, ...changes } = req.body || {};
+    const { values, errors } = gameConfig.validateSettings(changes);
+    req.auditDetails = { changes };
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid settings', errors });
     }
-    
-    // Check if crashed (NO randomness for consistency)
-    if (progress >= 1.0 || currentMultiplier >= crashPoint) {
-      console.log(`🎯 Animation complete: reached ${currentMultiplier}x (target was ${crashPoint}x) at ${(progress * 100).toFixed(1)}% progress`);
-      clearTimeout(safetyTimeout);
-      crashRound();
+    if (Object.keys(values).length === 0) {
+      return res.status(400).json({ error: 'No settings to change', settings: Object.keys(gameConfig.TABLE_SETTINGS) });
     }
-  }, MULTIPLIER_UPDATE_INTERVAL); // Fixed update interval for smoothness
-}
+    const { settings, pending } = req.table.configView();
+    const limitErrors = gameConfig.checkLimits({ ...settings, ...pending, ...values });
+    if (limitErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid settings', errors: limitErrors });
+    }
+    const curveCheck = checkCurve(createCurve(gameConfig.curveOptions({ ...settings, ...pending, ...values })), { strict: true });
+    if (curveCheck.problems.length > 0) {
+      return res.status(400).json({ error: 'Curve self-check failed', problems: curveCheck.problems });
+    }
+    runTableAction(req.table, 'updateSettings', values)
+      .then(result => res.json({ success: true, effective: 'next_round', ...result }))
+      .catch(error => leaderUnavailable(res, error));
+  });
 
-function crashRound() {
-  gamePhase = 'crashed';
-  currentMultiplier = crashPoint;
-  
-  // Store the crash point in roundMultipliers for recent multipliers display
-  roundMultipliers.set(currentRound, crashPoint);
-  
-  console.log(`💥 Round ${currentRound} crashed at ${crashPoint}x`);
-  console.log(`📋 Stored round ${currentRound} → multiplier ${crashPoint} in recent multipliers`);
-  
-  // Clear simulation interval
-  if (simulationInterval) {
-    clearInterval(simulationInterval);
-    simulationInterval = null;
-  }
-  
-  // Emit crash event
-  io.emit('round:crash', {
-    round: currentRound,
-    crashPoint: crashPoint
-  });
-  
-  // Start wait phase
-  waitTimer = setTimeout(() => {
-    console.log(`⏭️ Moving to next round...`);
-    // Set to wait phase first
-    gamePhase = 'wait';
-    // Increment current round for the next round in sequence
-    currentRound++;
-    // Check if we have multipliers to start the next round
-    if (multiplierQueue.length > 0) {
-      console.log(`🚀 Starting next round with ${multiplierQueue.length} multipliers in queue`);
-      startNextRound();
-    } else {
-      console.log(`⏸️ No multipliers in queue, waiting for backend...`);
-    }
-  }, WAIT_PHASE_DURATION);
-}
+  // Connected players and spectators (sockets of this instance)
+  app.get('/admin/sessions', requireScope('players:admin'), (req, res) => {
+    const sessions = Array.from(clientStates.values()).map(sessionDetails);
+    res.json({
+      players: sessions.filter(session => session.role === 'player').length,
+      spectators: sessions.filter(session => session.role === 'spectator').length,
+      sessions
+    });
+  });
 
-// Universal growth curve system
-function estimateTimeToMultiplier(target) {
-  // 🎯 DYNAMIC GROWTH CURVE
-  // Each multiplier takes the time it needs to reach its target naturally
-  
-  // Use the slow growth rate to calculate natural duration
-  const UNIVERSAL_GROWTH_RATE = 0.08;
-  
-  // Calculate how long it takes to reach the target: target = e^(rate * time)
-  // Solving for time: time = ln(target) / rate
-  const naturalDuration = Math.log(target) / UNIVERSAL_GROWTH_RATE;
-  
-  // Add minimal randomness to prevent exact timing prediction
-  const microRandomness = (Math.random() - 0.5) * 0.5; // ±0.25 seconds
-  
-  return naturalDuration + microRandomness;
-}
+  app.get('/admin/sessions/:userId', requireScope('players:admin'), (req, res) => {
+    const session = clientStates.get(req.params.userId);
+    if (!session) {
+      return res.status(404).json({ error: 'No session for this user', userId: req.params.userId });
+    }
+    res.json(sessionDetails(session));
+  });
 
-function calculateMultiplier(progress, target) {
-  // 🎯 DYNAMIC EXPONENTIAL CURVE
-  // Each multiplier follows the same growth pattern but takes its natural time
-  
-  // Use the slow growth rate for ALL multipliers
-  const UNIVERSAL_GROWTH_RATE = 0.08;
-  
-  // Calculate the natural duration for this target
-  const naturalDuration = Math.log(target) / UNIVERSAL_GROWTH_RATE;
-  
-  // Dynamic exponential formula: multiplier = e^(rate * time)
-  // Time is progress * naturalDuration (not fixed 10 seconds)
-  const dynamicMultiplier = Math.exp(UNIVERSAL_GROWTH_RATE * progress * naturalDuration);
-  
-  // Convert to stepped hundredths for smooth animation
-  const steppedMultiplier = Math.floor(dynamicMultiplier * 100) / 100;
-  
-  // At 100% progress, ensure we reach exactly the target
-  if (progress >= 1.0) {
-    return target;
-  }
-  
-  // Stop at target multiplier (this is the only difference between games)
-  // Remove the slight increase at crash by using exact target
-  const result = Math.min(steppedMultiplier, target);
-  
-  // Ensure minimum of 1.00 and don't exceed target
-  return Math.max(1.00, Math.min(result, target));
-}
+  // Force-disconnect every socket of a user
+  app.post('/admin/sessions/:userId/disconnect', audited('players:disconnect'), requireScope('players:admin'), async (req, res) => {
+    const { userId } = req.params;
+    req.auditDetails = { userId };
+    const sockets = await io.in(userRoom(userId)).fetchSockets();
+    if (sockets.length === 0) {
+      return res.status(404).json({ error: 'No session for this user', userId });
+    }
+    sockets.forEach(socket => socket.disconnect(true));
+    socketLogger.info(`👢 Disconnected ${sockets.length} sockets of user ${userId}`);
+    res.json({ success: true, userId, disconnected: sockets.length });
+  });
+
+  // IPs banned for flooding socket events (this instance)
+  app.get('/admin/bans', requireScope('players:admin'), (req, res) => {
+    res.json({ duration: BAN_DURATION, bans: banList.list() });
+  });
+
+  app.delete('/admin/bans/:ip', audited('players:unban'), requireScope('players:admin'), (req, res) => {
+    const { ip } = req.params;
+    req.auditDetails = { ip };
+    if (!banList.lift(ip)) {
+      return res.status(404).json({ error: 'IP is not banned', ip });
+    }
+    socketLogger.info(`✅ Ban of ${ip} lifted`);
+    res.json({ success: true, ip });
+  });
+
+  // Recent admin actions, newest first
+  app.get('/admin/audit', requireScope('audit:read'), (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    res.json({ entries: auditLog.list(limit) });
+  });
+
+  // Socket.IO connection handling
+  io.on('connection', (socket) => {
+    const { userId, role, displayName = null } = socket.data;
+    socketLogger.debug(`🔌 Client connected`, { socketId: socket.id, role, userId: userId && userId !== socket.id ? userId : undefined });
+    const ip = socketIp(socket);
+    if (role !== 'admin') {
+      socketsPerIp.set(ip, (socketsPerIp.get(ip) || 0) + 1);
+    }
+
+    // Update connection stats
+    socketsConnected.inc();
+    connectionStats.totalConnections++;
+    connectionStats.activeConnections = io.engine.clientsCount;
+    connectionStats.lastConnectionTime = Date.now();
+
+    // Clients pick a table with the `table` handshake query (or auth) field
+    const requestedTable = (socket.handshake.auth && socket.handshake.auth.table) || socket.handshake.query.table;
+    const initialTable = tables.get(requestedTable) || defaultTable;
+
+    // Initialize client state: add the socket to its user's session
+    const key = sessionKey(socket);
+    // The privacy choice belongs to the session; the display name follows the newest token
+    if (!clientStates.has(key)) {
+      clientStates.set(key, { userId, role, displayName, private: !!socket.data.private, connectedAt: Date.now(), sockets: new Map() });
+    }
+    clientStates.get(key).displayName = displayName;
+    clientStates.get(key).sockets.set(socket.id, {
+      tableId: initialTable.id,
+      currentRound: initialTable.currentRound,
+      isSynced: false,
+      connectedAt: Date.now()
+    });
+    if (role === 'player') {
+      socket.join(userRoom(userId));
+    } else if (role === 'admin') {
+      socket.join(ADMIN_ROOM);
+    }
+
+    // Join the table and send its current state to the new connection immediately
+    socket.join(initialTable.room);
+    initialTable.sendStateTo(socket);
+
+    // Mark client as synced
+    const clientState = socketState(socket);
+    if (clientState) {
+      clientState.isSynced = true;
+      clientState.currentRound = initialTable.currentRound;
+    }
+
+    function currentTable() {
+      const state = socketState(socket);
+      return (state && tables.get(state.tableId)) || defaultTable;
+    }
+
+    // Name shown with this player's bets in bets:live, round:summary and the leaderboard
+    function publicName() {
+      const session = clientStates.get(key);
+      return session && !session.private ? session.displayName : null;
+    }
+
+    // Bets belong to the user, so every tab of a player shares one bet per round
+    function runBetAction(table, action, ...args) {
+      if (role !== 'player') {
+        return Promise.resolve({ success: false, reason: role, tableId: table.id });
+      }
+      return runTableAction(table, action, userId, ...args)
+        .catch(() => ({ success: false, reason: 'leader_unavailable', tableId: table.id }));
+    }
+
+    // Handle client disconnection
+    socket.on('disconnect', (reason) => {
+      socketLogger.debug(`🔌 Client disconnected`, { socketId: socket.id, reason });
+
+      // Update disconnection stats
+      socketDisconnects.inc({ reason });
+      connectionStats.totalDisconnections++;
+      if (role !== 'admin') {
+        const open = (socketsPerIp.get(ip) || 1) - 1;
+        if (open > 0) {
+          socketsPerIp.set(ip, open);
+        } else {
+          socketsPerIp.delete(ip);
+        }
+      }
+      [socketLimiter, floodLimiter].forEach(limiter => limiter && limiter.forget(socket.id));
+      connectionStats.activeConnections = io.engine.clientsCount;
+      connectionStats.lastDisconnectionTime = Date.now();
+
+      const session = clientStates.get(key);
+      if (session) {
+        session.sockets.delete(socket.id);
+        if (session.sockets.size === 0) {
+          clientStates.delete(key);
+        }
+      }
+    });
+
+    // Events over the socket's rate limit are dropped; their ack gets `rate_limited`. A socket
+    // that keeps going over the limit is disconnected and its IP banned for BAN_DURATION.
+    if (socketLimiter) {
+      socket.use((packet, next) => {
+        const result = socketLimiter.take(socket.id);
+        if (result.allowed) {
+          return next();
+        }
+        connectionStats.limits.socketRateLimited++;
+        recordLimitHit('socket_rate');
+        const ack = packet[packet.length - 1];
+        if (typeof ack === 'function') {
+          ack({ success: false, reason: 'rate_limited', retryAfterMs: result.retryAfterMs });
+        }
+        if (floodLimiter && !floodLimiter.take(socket.id).allowed) {
+          if (BAN_DURATION > 0 && role !== 'admin') {
+            banList.ban(ip, 'socket_flood');
+            connectionStats.limits.bans++;
+            bansIssued.inc();
+          }
+          socketLogger.warn(`🚫 Socket flooding events, disconnected${BAN_DURATION > 0 && role !== 'admin' ? ` and ${ip} banned for ${BAN_DURATION}ms` : ''}`, { socketId: socket.id, userId: role === 'player' ? userId : undefined });
+          socket.disconnect(true);
+        }
+      });
+    }
+
+    // Handle client errors
+    socket.on('error', (error) => {
+      socketLogger.error(`❌ Socket error`, { socketId: socket.id, error });
+    });
+
+    // Handle client joining or switching tables
+    socket.on('table:join', (data, ack) => {
+      const tableId = data && data.tableId;
+      const table = tables.get(tableId);
+      if (!table) {
+        if (typeof ack === 'function') ack({ success: false, reason: 'unknown_table', tableId });
+        return;
+      }
+
+      const previous = currentTable();
+      if (previous !== table) {
+        socket.leave(previous.room);
+        socket.join(table.room);
+        socketLogger.debug(`🔀 Client switched table ${previous.id} → ${table.id}`, { socketId: socket.id });
+      }
+
+      const state = socketState(socket);
+      if (state) {
+        state.tableId = table.id;
+        state.currentRound = table.currentRound;
+      }
+
+      if (typeof ack === 'function') ack({ success: true, tableId: table.id });
+      table.sendStateTo(socket);
+    });
+
+    // Clock sync: the client sends its own clock and gets the server's back, so it can
+    // estimate its offset as serverTime - (sentAt + receivedAt) / 2
+    socket.on('time:sync', (data, ack) => {
+      if (typeof data === 'function') {
+        ack = data;
+        data = null;
+      }
+      const reply = { clientTime: data && data.clientTime !== undefined ? data.clientTime : null, serverTime: clock.now() };
+      if (typeof ack === 'function') {
+        ack(reply);
+      } else {
+        socket.emit('time:sync', reply);
+      }
+    });
+
+    // Handle client requesting current state
+    socket.on('request:state', () => {
+      socketLogger.debug(`📤 Client requested current state`, { socketId: socket.id });
+      socket.emit('game:state', currentTable().gameState());
+    });
+
+    // Handle client requesting a timed snapshot (same payload as on connect)
+    socket.on('request:snapshot', () => {
+      socket.emit('game:snapshot', currentTable().gameSnapshot());
+    });
+
+    // Handle client requesting round info
+    socket.on('request:round-info', () => {
+      socketLogger.debug(`📤 Client requested round info`, { socketId: socket.id });
+      socket.emit('round:info', currentTable().roundInfo());
+    });
+
+    // Handle bet placement (betting phase only, on the client's current table)
+    socket.on('bet:place', (data, ack) => {
+      runBetAction(currentTable(), 'placeBet', data, publicName())
+        .then(result => {
+          if (typeof ack === 'function') ack(result);
+        });
+    });
 
-// Test function to verify universal growth curve
-function testMultiplierCalculation() {
-  console.log(`🎯 Testing Dynamic Growth Curve System:`);
-  
-  // Test different multiplier types - each takes its natural time
-  const testCases = [
-    { target: 1.2, description: "Low crash (1.2x) - Quick duration" },
-    { target: 2.0, description: "Medium crash (2.0x) - Medium duration" },
-    { target: 5.0, description: "High crash (5.0x) - Longer duration" },
-    { target: 15.0, description: "Very high (15.0x) - Much longer" },
-    { target: 50.0, description: "Epic (50.0x) - Very long" },
-    { target: 100.0, description: "Legendary (100.0x) - Maximum duration" }
-  ];
-  
-  console.log(`\n🎯 Dynamic Curve Analysis (Each takes natural time to reach target):`);
-  testCases.forEach(test => {
-    const result = calculateMultiplier(1.0, test.target);
-    const expected = test.target;
-    const accuracy = Math.abs(result - expected);
-    const timeToCrash = estimateTimeToMultiplier(test.target);
-    console.log(`   ${test.description}: ${result.toFixed(2)}x (target: ${expected.toFixed(2)}x, accuracy: ${accuracy.toFixed(4)}, time: ${timeToCrash.toFixed(1)}s)`);
-  });
-  
-  // Test progression - show how different targets progress
-  console.log(`\n📈 Dynamic Curve Progression (Each target has different duration):`);
-  
-  console.log(`   Early progression (25% of each target's duration):`);
-  for (let progress = 0.1; progress <= 0.4; progress += 0.1) {
-    const lowTarget = calculateMultiplier(progress, 1.2);
-    const highTarget = calculateMultiplier(progress, 100.0);
-    console.log(`     ${(progress * 100).toFixed(0)}%: 1.2x target = ${lowTarget.toFixed(2)}x, 100x target = ${highTarget.toFixed(2)}x`);
+    // Show or hide the player's display name in public bet events and the leaderboard, for every
+    // tab of the player and from their next bet on: { private: true | false }
+    socket.on('player:privacy', (data, ack) => {
+      const session = clientStates.get(key);
+      if (role !== 'player' || !session) {
+        if (typeof ack === 'function') ack({ success: false, reason: role });
+        return;
+      }
+      if (!data || typeof data.private !== 'boolean') {
+        if (typeof ack === 'function') ack({ success: false, reason: 'invalid_privacy' });
+        return;
+      }
+      session.private = data.private;
+      if (typeof ack === 'function') ack({ success: true, private: session.private, displayName: session.displayName });
+    });
+
+    // Handle manual cash-out (flying phase only). `tableId` allows cashing out a bet
+    // left on a table the client has since switched away from.
+    socket.on('bet:cashout', (data, ack) => {
+      if (typeof data === 'function') {
+        ack = data;
+        data = null;
+      }
+      const table = (data && tables.get(data.tableId)) || currentTable();
+      runBetAction(table, 'cashOutBet')
+        .then(result => {
+          if (typeof ack === 'function') ack(result);
+        });
+    });
+  });
+
+  // Cleanup function
+  function cleanup() {
+    watchdog.stop();
+    feeds.forEach(feed => feed.stop());
+    tables.forEach(table => table.stop());
   }
-  
-  console.log(`   Mid progression (50% of each target's duration):`);
-  for (let progress = 0.5; progress <= 0.8; progress += 0.1) {
-    const lowTarget = calculateMultiplier(progress, 1.2);
-    const highTarget = calculateMultiplier(progress, 100.0);
-    console.log(`     ${(progress * 100).toFixed(0)}%: 1.2x target = ${lowTarget.toFixed(2)}x, 100x target = ${highTarget.toFixed(2)}x`);
+
+  // Stop the game loops, feeds and timers and close every connection
+  async function close() {
+    cleanup();
+    clearInterval(statsTimer);
+    clearInterval(pruneTimer);
+    eventLoopDelay.disable();
+    if (cluster) {
+      await cluster.stop();
+    }
+    await new Promise(resolve => io.close(() => resolve()));
   }
-  
-  console.log(`\n✅ Dynamic Curve Design Features:`);
-  console.log(`   • Natural duration for each multiplier (no fixed timing)`);
-  console.log(`   • Fixed growth rate: 0.08 for ALL multipliers (same curve shape)`);
-  console.log(`   • Dynamic formula: multiplier = e^(0.08 * natural_time) for each game`);
-  console.log(`   • Each target takes exactly the time it needs to reach naturally`);
-  console.log(`   • 1.2x crash: ~2.7 seconds, 100x crash: ~57.6 seconds`);
-  console.log(`   • Same exponential curve shape, different durations`);
-  console.log(`   • Impossible to predict crash point from timing or behavior`);
-  console.log(`   • Stepped hundredths for smooth counter-like display`);
-  console.log(`   • Fixed update interval: ${MULTIPLIER_UPDATE_INTERVAL}ms`);
-  
-  return true;
-}
 
-// Cleanup function
-function cleanup() {
-  if (simulationInterval) {
-    clearInterval(simulationInterval);
+  // Graceful shutdown
+  async function shutdown() {
+    logger.info('🛑 Shutting down socket server...');
+    await close();
+    logger.info('✅ Socket server closed');
+    process.exit(0);
   }
-  if (bettingTimer) {
-    clearTimeout(bettingTimer);
+
+  // Catch-all route for 404s (must be last)
+  app.use('*', (req, res) => {
+    res.status(404).json({
+      error: 'Not Found',
+      message: 'Endpoint not found',
+      availableEndpoints: ['/', '/ping', '/health', '/metrics', '/tables', ...(IS_DEVELOPMENT ? ['/debug'] : []), '/current-state', '/queue', '/rounds', '/rounds/:id', '/verify/:round', '/events', '/incidents', '/admin/sessions', '/admin/audit']
+    });
+  });
+
+  // Start server. In a cluster the leader restores the state when it wins the lease.
+  if (!cluster) {
+    tables.forEach(table => table.restoreState());
   }
-  if (waitTimer) {
-    clearTimeout(waitTimer);
+
+  // Start serving on `port` (SOCKET_PORT by default, 0 for any free port); resolves with the port
+  function listen(port = PORT) {
+    return new Promise(resolve => server.listen(port, () => {
+      const listening = server.address().port;
+      resolve(listening);
+      logger.info(`🚀 Socket.IO server running on port ${listening}`);
+      API_KEYRING.describe().forEach(key => logger.info(`🔐 API key ${key.name}: ${key.scopes.join(', ')}`));
+      logger.info(`📝 Audit log: ${auditLog.path || 'memory only'}`);
+      if (PLAYER_TOKEN_SECRET) {
+        logger.info(`🪪 Player tokens required to bet${ALLOW_SPECTATORS ? ', anonymous spectators allowed' : ''}`);
+      } else {
+        logger.warn(`⚠️ PLAYER_TOKEN_SECRET is not set, every socket is an anonymous player`);
+      }
+      logger.info(`🚦 Rate limits: ${HTTP_RATE_LIMIT > 0 ? `${HTTP_RATE_LIMIT} requests/s per IP` : 'no HTTP limit'}, ${SOCKET_RATE_LIMIT > 0 ? `${SOCKET_RATE_LIMIT} events/s per socket` : 'no event limit'}, ${MAX_SOCKETS_PER_IP > 0 ? `${MAX_SOCKETS_PER_IP} sockets per IP` : 'no socket limit per IP'}`);
+      if (!IS_DEVELOPMENT) {
+        logger.info(`🐛 Debug routes disabled (NODE_ENV=${env.NODE_ENV})`);
+      }
+      logger.info(`🌐 Allowed origins: ${Array.isArray(ALLOWED_ORIGINS) ? ALLOWED_ORIGINS.join(', ') : (ALLOWED_ORIGINS || 'none')}`);
+      logger.info(FEED_URL ? `📡 Pulling multiplier batches below ${QUEUE_LOW_WATER} queued rounds` : `📡 Waiting for multiplier batches...`);
+      TABLE_CONFIGS.forEach(config => {
+        const table = tables.get(config.id);
+        logger.info(`🎮 Table ${config.id}: betting(${config.bettingPhaseDuration}ms) → flying → crashed → wait(${config.waitPhaseDuration}ms), round ${table.currentRound}`);
+        logger.info(`⚡ Table ${config.id}: ticks every ${config.multiplierUpdateInterval}ms, keyframes every ${config.keyframeInterval}ms, ${config.curveType} curve`);
+      });
+      logger.info(`⚙️ Settings: ${GAME_CONFIG.file ? `${GAME_CONFIG.file} and environment` : 'environment'}, round duration ${ROUND_DURATION}ms`);
+
+      // Feeds only pull for, and the watchdog only checks, tables that run the game loop, so
+      // both can start before the election
+      feeds.forEach(feed => feed.start());
+      watchdog.start();
+      if (WATCHDOG_INTERVAL > 0) {
+        logger.info(`🐕 Watchdog every ${WATCHDOG_INTERVAL}ms (grace ${WATCHDOG_GRACE}ms), incidents: ${incidentLog.path || 'memory only'}`);
+      } else {
+        logger.warn(`⚠️ Watchdog disabled`);
+      }
+
+      if (cluster) {
+        cluster.start().catch(error => logger.error(`❌ Failed to join the cluster`, { error }));
+        return;
+      }
+
+      // Resume every table whose restored queue has rounds to play
+      tables.forEach(table => table.resume());
+    }));
   }
+
+  return { app, io, server, tables, get cluster() { return cluster; }, listen, close, shutdown };
 }
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-  console.log('🛑 Shutting down socket server...');
-  cleanup();
-  server.close(() => {
-    console.log('✅ Socket server closed');
-    process.exit(0);
-  });
-});
-
-// Catch-all route for 404s (must be last)
-app.use('*', (req, res) => {
-  res.status(404).json({ 
-    error: 'Not Found', 
-    message: 'Endpoint not found',
-    availableEndpoints: ['/', '/ping', '/health', '/debug', '/current-state', '/queue']
-  });
-});
-
-// Start server
-server.listen(PORT, () => {
-  console.log(`🚀 Socket.IO server running on port ${PORT}`);
-  console.log(`🔐 Secret token: ${SECRET_TOKEN}`);
-  console.log(`📡 Waiting for multiplier batches...`);
-  console.log(`🎮 Game phases: betting(${BETTING_PHASE_DURATION}ms) → flying → crashed → wait(${WAIT_PHASE_DURATION}ms)`);
-  console.log(`⚡ Update interval: ${MULTIPLIER_UPDATE_INTERVAL}ms`);
-  console.log(`🎯 Initial current round: ${currentRound}`);
-  console.log(`🎲 Dynamic growth curve: natural duration, fixed rate 0.08, truly unpredictable`);
-  
-  // Test multiplier calculation
-  testMultiplierCalculation();
-});
-
-module.exports = { io, server };
\ No newline at end of file
+// Run as a script: serve on SOCKET_PORT until SIGINT / SIGTERM
+if (require.main === module) {
+  const instance = createServer();
+  process.on('SIGINT', instance.shutdown);
+  process.on('SIGTERM', instance.shutdown);
+  instance.listen();
+}
+
+module.exports = { createServer };
@@ -0,0 +1,165 @@
+// Manual game controls (/recover, /force-start, /trigger-next) and the keys operator routes need
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createCurve } = require('../lib/multiplier-curve');
+const { startServer } = require('./helpers/harness');
+
+const BETTING = 6000;
+const WAIT = 3000;
+const curve = createCurve();
+const ROUND_EVENTS = /^round:(start|flying|crash)$/;
+
+let server;
+let client;
+
+beforeEach(async () => {
+  server = await startServer();
+  client = await server.connect();
+  client.clear();
+});
+
+afterEach(async () => {
+  await server.stop();
+});
+
+async function post(route) {
+  const response = await server.request('POST', route);
+  await server.sync();
+  return response;
+}
+
+// "round:start:1", "round:crash:1", ... for short sequence assertions
+function sequence() {
+  return client.events
+    .filter(({ event }) => ROUND_EVENTS.test(event))
+    .map(({ event, payload }) => `${event}:${payload.round}`);
+}
+
+test('/recover in the flying phase crashes the round at once', async () => {
+  await server.queue([5, 1.5], 1);
+  await server.advance(BETTING + 1000);
+
+  const { status, body } = await post('/recover');
+  assert.equal(status, 200);
+  assert.deepEqual(body, { success: true, message: 'Forced crash and moving to next round' });
+  assert.deepEqual(sequence(), ['round:start:1', 'round:flying:1', 'round:crash:1']);
+  assert.equal(server.table().gameState().gamePhase, 'crashed');
+
+  // The forced crash keeps the queued crash point, and the next round follows the wait
+  assert.equal(client.payloads('round:crash')[0].crashPoint, 5);
+  await server.advance(WAIT);
+  assert.deepEqual(sequence(), ['round:start:1', 'round:flying:1', 'round:crash:1', 'round:start:2']);
+});
+
+test('/recover mid-flight only pays the targets the flight reached and refunds the rest', async () => {
+  const early = await server.connect();
+  const late = await server.connect();
+  await server.queue([5], 1);
+  await early.emit('bet:place', { amount: 10, autoCashout: 1.1 });
+  await late.emit('bet:place', { amount: 10, autoCashout: 3 });
+  await server.advance(BETTING + 2000); // about 1.17x
+
+  await post('/recover');
+  assert.deepEqual(early.payloads('bet:settlement').map(({ result, payout }) => ({ result, payout })), [{ result: 'won', payout: 11 }]);
+  assert.deepEqual(late.payloads('bet:settlement').map(({ result, payout, forced }) => ({ result, payout, forced })), [
+    { result: 'refunded', payout: 10, forced: true }
+  ]);
+  assert.deepEqual(late.payloads('bet:auto-cashout'), []);
+  const [settlement] = client.payloads('round:settlement');
+  assert.equal(settlement.forced, true);
+  assert.equal(settlement.winners, 1);
+});
+
+test('/recover in the betting phase starts the flight', async () => {
+  await server.queue([1.5], 1);
+  await server.advance(1000);
+
+  const { body } = await post('/recover');
+  assert.equal(body.message, 'Forced flying phase start');
+  assert.deepEqual(sequence(), ['round:start:1', 'round:flying:1']);
+  assert.equal(client.payloads('round:flying')[0].startTime, server.time.now);
+
+  // The betting timer was cancelled with the phase: the flight is not started twice
+  await server.advance(BETTING);
+  assert.deepEqual(sequence(), ['round:start:1', 'round:flying:1', 'round:crash:1']);
+});
+
+test('/recover in the crashed phase skips the rest of the wait', async () => {
+  await server.queue([1.2, 1.3], 1);
+  await server.advance(BETTING + curve.flightDuration(1.2) + 100);
+
+  const { body } = await post('/recover');
+  assert.equal(body.message, 'Started next round');
+  assert.deepEqual(sequence(), ['round:start:1', 'round:flying:1', 'round:crash:1', 'round:start:2']);
+
+  // The cancelled wait timer does not start another round
+  await server.advance(WAIT);
+  assert.deepEqual(client.payloads('round:start').map(start => start.round), [1, 2]);
+});
+
+test('/recover without queued rounds waits for the backend', async () => {
+  const { body } = await post('/recover');
+  assert.deepEqual(body, { success: true, message: 'Waiting for multipliers from backend' });
+  assert.deepEqual(sequence(), []);
+});
+
+test('/force-start replays the round in play from its betting phase', async () => {
+  await server.queue([1.5, 1.6], 1);
+  await server.advance(BETTING + 2000);
+
+  const { body } = await post('/force-start');
+  assert.equal(body.success, true);
+  assert.equal(body.currentRound, 1);
+  assert.equal(body.gamePhase, 'betting');
+  assert.deepEqual(sequence(), ['round:start:1', 'round:flying:1', 'round:start:1']);
+
+  // The abandoned flight's ticks are gone: no keyframes until the replay flies
+  client.clear();
+  await server.advance(BETTING - 1);
+  assert.deepEqual(client.names(), []);
+  await server.advance(1 + Math.ceil(curve.flightDuration(1.5) / 100) * 100);
+  assert.deepEqual(sequence(), ['round:flying:1', 'round:crash:1']);
+  assert.deepEqual(client.payloads('round:crash'), [{ tableId: 'main', round: 1, crashPoint: 1.5 }]);
+});
+
+test('/force-start without queued rounds is refused', async () => {
+  const { body } = await post('/force-start');
+  assert.deepEqual(body, { success: false, message: 'No multipliers in queue' });
+});
+
+test('/trigger-next after a crash starts the next round without waiting', async () => {
+  await server.queue([1.2, 1.3], 1);
+  await server.advance(BETTING + curve.flightDuration(1.2) + 100);
+  assert.equal(server.table().gameState().gamePhase, 'crashed');
+
+  const { body } = await post('/trigger-next');
+  assert.deepEqual(body, { success: true, message: 'Next round triggered' });
+  assert.deepEqual(sequence(), ['round:start:1', 'round:flying:1', 'round:crash:1', 'round:start:2']);
+});
+
+test('/trigger-next during a round is refused', async () => {
+  await server.queue([1.5, 1.6], 1);
+  await server.advance(1000);
+
+  const { body } = await post('/trigger-next');
+  assert.equal(body.success, false);
+  assert.match(body.message, /Phase: betting/);
+  assert.deepEqual(sequence(), ['round:start:1']);
+});
+
+test('game controls require the admin key', async () => {
+  const { status } = await server.request('POST', '/recover', undefined, { Authorization: 'Bearer wrong' });
+  assert.equal(status, 401);
+});
+
+test('the event log and the incidents require the events:read scope', async () => {
+  await server.queue([1.5], 1);
+  assert.equal((await server.request('GET', '/events', undefined, { Authorization: '' })).status, 401);
+  assert.equal((await server.request('GET', '/incidents', undefined, { Authorization: '' })).status, 401);
+  assert.equal((await server.request('GET', '/incidents')).status, 200);
+
+  const { status, body } = await server.request('GET', '/events');
+  assert.equal(status, 200);
+  assert.deepEqual(body.events.map(event => event.type), ['start']);
+});
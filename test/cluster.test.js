@@ -0,0 +1,236 @@
+// Multiple instances: the leader lease, forwarded commands and failover, on the memory adapter
+
+const { EventEmitter } = require('events');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createCluster } = require('../lib/cluster');
+const { createMemoryAdapter } = require('../lib/pubsub');
+const { deriveCrashPoint } = require('../lib/provably-fair');
+const { createTable } = require('../lib/game-table');
+const { createMemoryStore } = require('../lib/storage');
+const { createFakeClock } = require('./helpers/fake-clock');
+const { startServer } = require('./helpers/harness');
+
+const LEASE_TTL = 3000; // renewed every 1000ms
+const BETTING = 6000;
+const WAIT = 3000;
+const FLIGHT = 20000; // longer than any flight below
+
+// Let pub/sub deliveries (setImmediate) and the handlers they start finish
+async function flush() {
+  for (let i = 0; i < 5; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+// Cluster instances on a private bus sharing one fake clock
+function setup() {
+  const time = createFakeClock();
+  const bus = { emitter: new EventEmitter(), leases: new Map() };
+  const instances = [];
+
+  function instance(instanceId, options = {}) {
+    const calls = [];
+    let adapter = createMemoryAdapter(bus, { clock: time.clock });
+    if (options.partitioned) {
+      // Lease calls fail once partitioned() returns true, like a lost connection
+      const memory = adapter;
+      adapter = {
+        ...memory,
+        acquireLease: (...args) => options.partitioned() ? Promise.reject(new Error('partitioned')) : memory.acquireLease(...args)
+      };
+    }
+    const cluster = createCluster({
+      adapter,
+      instanceId,
+      leaseTtl: LEASE_TTL,
+      requestTimeout: 1000,
+      scheduler: time.scheduler,
+      onPromote: () => calls.push('promote'),
+      onDemote: () => calls.push('demote'),
+      ...options.handlers
+    });
+    instances.push(cluster);
+    return { cluster, calls };
+  }
+
+  return {
+    time,
+    instance,
+    // Move the clock a second at a time, so every lease renewal runs in turn
+    async advance(ms) {
+      for (let elapsed = 0; elapsed < ms; elapsed += 1000) {
+        time.advance(Math.min(1000, ms - elapsed));
+        await flush();
+      }
+    },
+    stop: () => Promise.all(instances.map(cluster => cluster.stop()))
+  };
+}
+
+test('the first instance holds the lease and keeps it while it renews', async () => {
+  const cluster = setup();
+  try {
+    const a = cluster.instance('a');
+    const b = cluster.instance('b');
+    await a.cluster.start();
+    await b.cluster.start();
+    assert.equal(a.cluster.isLeader, true);
+    assert.equal(b.cluster.isLeader, false);
+
+    await cluster.advance(LEASE_TTL * 4);
+    assert.deepEqual(a.calls, ['promote']);
+    assert.deepEqual(b.calls, []);
+  } finally {
+    await cluster.stop();
+  }
+});
+
+test('a replica takes over once the lease of an unreachable leader has expired', async () => {
+  const cluster = setup();
+  let partitioned = false;
+  try {
+    const a = cluster.instance('a', { partitioned: () => partitioned });
+    const b = cluster.instance('b');
+    await a.cluster.start();
+    await b.cluster.start();
+
+    // The last renewal before the partition holds the lease for LEASE_TTL
+    partitioned = true;
+    await cluster.advance(1000);
+    assert.deepEqual(a.calls, ['promote', 'demote']);
+    assert.equal(a.cluster.isLeader, false);
+
+    await cluster.advance(LEASE_TTL - 2000);
+    assert.equal(b.cluster.isLeader, false);
+    await cluster.advance(1000);
+    assert.equal(b.cluster.isLeader, true);
+    assert.deepEqual(b.calls, ['promote']);
+  } finally {
+    await cluster.stop();
+  }
+});
+
+test('a stopped leader hands the lease over without waiting for it to expire', async () => {
+  const cluster = setup();
+  try {
+    const a = cluster.instance('a');
+    const b = cluster.instance('b');
+    await a.cluster.start();
+    await b.cluster.start();
+
+    await a.cluster.stop();
+    await cluster.advance(1000);
+    assert.equal(b.cluster.isLeader, true);
+  } finally {
+    await cluster.stop();
+  }
+});
+
+test('commands sent by a replica run on the leader', async () => {
+  const cluster = setup();
+  try {
+    const a = cluster.instance('a', {
+      handlers: {
+        onCommand: ({ tableId, action, args }) => {
+          if (action === 'hang') return new Promise(() => {});
+          if (action !== 'enqueue') throw new Error(`Action ${action} cannot be forwarded`);
+          return { tableId, queued: args };
+        }
+      }
+    });
+    const b = cluster.instance('b');
+    await a.cluster.start();
+    await b.cluster.start();
+
+    assert.deepEqual(await b.cluster.request('main', 'enqueue', [[1.5]]), { tableId: 'main', queued: [[1.5]] });
+    await assert.rejects(b.cluster.request('main', 'shutdown', []), { message: 'Action shutdown cannot be forwarded' });
+
+    const unanswered = b.cluster.request('main', 'hang', []);
+    await flush();
+    cluster.time.advance(1000);
+    await assert.rejects(unanswered, { message: 'Leader did not respond' });
+  } finally {
+    await cluster.stop();
+  }
+});
+
+test('a demoted leader refunds the open bets of the round it was playing', () => {
+  const time = createFakeClock();
+  const emitted = [];
+  const table = createTable({
+    id: 'main',
+    io: { to: (room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) }) },
+    store: createMemoryStore(),
+    liveBetsInterval: 0,
+    clock: time.clock,
+    scheduler: time.scheduler
+  });
+  table.enqueue({ multipliers: [2], startRound: 1 });
+  assert.equal(table.placeBet('user-1', { amount: 10 }).success, true);
+
+  table.demote();
+  assert.equal(table.active, false);
+  const [settlement] = emitted.filter(({ event }) => event === 'bet:settlement');
+  assert.equal(settlement.room, 'user:user-1');
+  assert.deepEqual({ voided: settlement.payload.voided, result: settlement.payload.result, payout: settlement.payload.payout }, {
+    voided: true,
+    result: 'refunded',
+    payout: 10
+  });
+  assert.equal(time.pendingTimers, 0);
+});
+
+// Servers in one process share the memory bus. Each has its own fake clock, so they are
+// moved together.
+test('a promoted replica continues the game of the leader it replaces', async () => {
+  const env = { CLUSTER_MODE: 'memory', CLUSTER_LEASE_TTL: String(LEASE_TTL), PROVABLY_FAIR: 'verify' };
+  const a = await startServer({ ...env, INSTANCE_ID: 'a' });
+  const b = await startServer({ ...env, INSTANCE_ID: 'b' });
+  const servers = [a, b];
+  async function advance(ms) {
+    for (let elapsed = 0; elapsed < ms; elapsed += 1000) {
+      servers.forEach(server => server.time.advance(Math.min(1000, ms - elapsed)));
+      await flush();
+    }
+    await Promise.all(servers.map(server => server.sync()));
+  }
+
+  try {
+    await flush();
+    assert.equal(a.cluster.isLeader, true);
+    assert.equal(b.cluster.isLeader, false);
+    const client = await b.connect();
+
+    // Queued on the replica, played by the leader, relayed to the replica's clients
+    const multipliers = [1, 2, 3].map(nonce => {
+      const serverSeed = `seed-${nonce}`;
+      return { multiplier: deriveCrashPoint(serverSeed, 'backend', nonce), serverSeed, clientSeed: 'backend', nonce };
+    });
+    const queued = await b.queue(multipliers, 1);
+    assert.equal(queued.status, 200);
+    assert.deepEqual(queued.body.accepted, [1, 2, 3]);
+    await advance(BETTING + FLIGHT);
+    assert.deepEqual(client.payloads('round:crash').map(crash => crash.round), [1]);
+
+    // The leader goes away in the wait before round 2; the replica takes over at its next renewal
+    servers.shift();
+    await a.stop();
+    await advance(1000);
+    assert.equal(b.cluster.isLeader, true);
+    assert.equal(b.table().active, true);
+
+    await advance(WAIT + BETTING + FLIGHT);
+    assert.deepEqual(client.payloads('round:crash').map(crash => crash.round), [1, 2]);
+    const { body: rounds } = await b.request('GET', '/rounds');
+    assert.deepEqual(rounds.rounds.map(round => round.round).sort(), [1, 2]);
+
+    // The seeds the old leader was sent are revealed by the new one
+    const { status, body } = await b.request('GET', '/verify/2');
+    assert.equal(status, 200);
+    assert.equal(body.serverSeed, 'seed-2');
+    assert.equal(body.valid, true);
+  } finally {
+    await Promise.all(servers.map(server => server.stop()));
+  }
+});
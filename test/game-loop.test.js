@@ -0,0 +1,160 @@
+// Round lifecycle as seen by a connected client: exact event order, payloads and round numbers
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createCurve } = require('../lib/multiplier-curve');
+const { startServer } = require('./helpers/harness');
+
+const BETTING = 6000;
+const WAIT = 3000;
+const curve = createCurve();
+const ROUND_EVENTS = /^(round:|multiplier:update)/;
+
+let server;
+let client;
+
+beforeEach(async () => {
+  server = await startServer();
+  client = await server.connect();
+  client.clear();
+});
+
+afterEach(async () => {
+  await server.stop();
+});
+
+// Keyframes sent during a flight to `crashPoint`: one per keyframe interval before the crash tick
+function expectedKeyframes(crashPoint, keyframeInterval = 1000) {
+  const keyframes = [];
+  for (let elapsed = keyframeInterval; elapsed < curve.flightDuration(crashPoint); elapsed += keyframeInterval) {
+    keyframes.push({ elapsed, multiplier: Math.min(curve.multiplierAtElapsed(elapsed), crashPoint) });
+  }
+  return keyframes;
+}
+
+// Time from the start of a flight to the tick that detects the crash
+function crashTickAfter(crashPoint, tick = 100) {
+  return Math.ceil(curve.flightDuration(crashPoint) / tick) * tick;
+}
+
+test('a queued round plays round:start, round:flying, multiplier:update keyframes and round:crash in order', async () => {
+  const start = server.time.now;
+  await server.queue([1.5], 1);
+  assert.deepEqual(client.names(), ['round:start']);
+  assert.deepEqual(client.payloads('round:start'), [{ tableId: 'main', round: 1, crashPoint: 1.5 }]);
+
+  // Nothing happens until the betting phase is over
+  await server.advance(BETTING - 1);
+  assert.deepEqual(client.names(), ['round:start']);
+
+  await server.advance(1);
+  const [flying] = client.payloads('round:flying');
+  assert.equal(flying.round, 1);
+  assert.equal(flying.multiplier, 1);
+  assert.equal(flying.startTime, start + BETTING);
+  assert.equal(flying.serverTime, start + BETTING);
+  assert.equal(flying.keyframeInterval, 1000);
+  assert.equal(flying.curve.type, 'exponential');
+
+  const crashTick = crashTickAfter(1.5);
+  await server.advance(crashTick - 1);
+  assert.equal(client.payloads('round:crash').length, 0);
+  await server.advance(1);
+
+  const keyframes = expectedKeyframes(1.5);
+  assert.ok(keyframes.length > 0);
+  assert.deepEqual(client.names(ROUND_EVENTS), [
+    'round:start',
+    'round:flying',
+    ...keyframes.map(() => 'multiplier:update'),
+    'round:crash',
+    'round:settlement',
+    'round:summary'
+  ]);
+  assert.deepEqual(client.payloads('multiplier:update'), keyframes.map(({ elapsed, multiplier }) => ({
+    tableId: 'main',
+    round: 1,
+    multiplier,
+    elapsed,
+    serverTime: start + BETTING + elapsed
+  })));
+  assert.deepEqual(client.payloads('round:crash'), [{ tableId: 'main', round: 1, crashPoint: 1.5 }]);
+  assert.equal(client.payloads('round:summary')[0].round, 1);
+
+  // With an empty queue the table waits for the backend
+  await server.advance(WAIT);
+  assert.equal(client.payloads('round:start').length, 1);
+  assert.equal(server.table().gameState().gamePhase, 'wait');
+  assert.equal(server.table().gameState().currentRound, 2);
+});
+
+test('queued rounds play back to back after the wait phase', async () => {
+  await server.queue([1.2, 1.3, 1.4], 1);
+
+  await server.advance(BETTING + crashTickAfter(1.2));
+  assert.deepEqual(client.payloads('round:crash').map(crash => crash.round), [1]);
+
+  await server.advance(WAIT - 1);
+  assert.deepEqual(client.payloads('round:start').map(start => start.round), [1]);
+  await server.advance(1);
+  assert.deepEqual(client.payloads('round:start').map(start => start.round), [1, 2]);
+
+  await server.advance(BETTING + crashTickAfter(1.3) + WAIT);
+  await server.advance(BETTING + crashTickAfter(1.4) + WAIT);
+
+  assert.deepEqual(client.payloads('round:crash'), [
+    { tableId: 'main', round: 1, crashPoint: 1.2 },
+    { tableId: 'main', round: 2, crashPoint: 1.3 },
+    { tableId: 'main', round: 3, crashPoint: 1.4 }
+  ]);
+  // Every event of a round carries its round number, and rounds never interleave
+  const rounds = client.events
+    .filter(({ event }) => ROUND_EVENTS.test(event))
+    .map(({ payload }) => payload.round);
+  assert.deepEqual(rounds, [...rounds].sort((a, b) => a - b));
+  assert.deepEqual(client.payloads('multiplier:update').map(update => update.round), [
+    ...expectedKeyframes(1.2).map(() => 1),
+    ...expectedKeyframes(1.3).map(() => 2),
+    ...expectedKeyframes(1.4).map(() => 3)
+  ]);
+});
+
+test('a round missing from the queue is skipped', async () => {
+  await server.queue([1.2, 1.3], 1);
+  await server.queue([1.4], 5);
+
+  await server.advance(3 * (BETTING + crashTickAfter(1.4) + WAIT));
+  assert.deepEqual(client.payloads('round:start').map(start => start.round), [1, 2, 5]);
+  assert.deepEqual(client.payloads('round:crash').map(crash => crash.round), [1, 2, 5]);
+});
+
+test('a batch arriving after the queue ran dry starts the next round at once', async () => {
+  await server.queue([1.2], 1);
+  await server.advance(BETTING + crashTickAfter(1.2) + WAIT);
+  assert.equal(server.table().gameState().gamePhase, 'wait');
+
+  client.clear();
+  await server.queue([1.3], 3);
+  assert.deepEqual(client.names(ROUND_EVENTS), ['round:start']);
+  assert.equal(client.payloads('round:start')[0].round, 3);
+});
+
+test('a batch for a round already played is rejected', async () => {
+  await server.queue([1.2, 1.3], 1);
+  await server.advance(BETTING + crashTickAfter(1.2) + WAIT);
+
+  const { status, body } = await server.queue([2], 1);
+  assert.equal(status, 409);
+  assert.deepEqual(body.conflicts.map(conflict => conflict.reason), ['played']);
+});
+
+test('a flight without keyframes still crashes on time', async () => {
+  await server.stop();
+  server = await startServer({ MULTIPLIER_KEYFRAME_INTERVAL: '0' });
+  client = await server.connect();
+  client.clear();
+
+  await server.queue([2], 1);
+  await server.advance(BETTING + crashTickAfter(2));
+  assert.deepEqual(client.names(ROUND_EVENTS), ['round:start', 'round:flying', 'round:crash', 'round:settlement', 'round:summary']);
+});
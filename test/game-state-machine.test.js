@@ -0,0 +1,159 @@
+// State machine: guarded transitions, phase timers and the replayable event log
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStateMachine, replay } = require('../lib/game-state-machine');
+const { createFakeClock } = require('./helpers/fake-clock');
+
+function setup(options = {}) {
+  const time = createFakeClock();
+  const machine = createStateMachine({ clock: time.clock, scheduler: time.scheduler, ...options });
+  return { time, machine };
+}
+
+// One full round: start → fly → crash → advance
+function playRound(machine, round, crashPoint = 1.5) {
+  machine.transition('start', { round, duration: 6000 });
+  machine.transition('fly');
+  machine.transition('crash', { duration: 3000, details: { crashPoint } });
+  machine.transition('advance');
+}
+
+test('a round goes through every phase and moves the round number on', () => {
+  const { time, machine } = setup();
+  machine.transition('start', { round: 1, duration: 6000 });
+  assert.equal(machine.phase, 'betting');
+  assert.equal(machine.round, 1);
+  assert.equal(machine.phaseStartedAt, time.now);
+  assert.equal(machine.phaseEndsAt, time.now + 6000);
+
+  machine.transition('fly');
+  machine.transition('crash', { details: { crashPoint: 2 } });
+  assert.equal(machine.phase, 'crashed');
+  assert.equal(machine.phaseEndsAt, null);
+
+  machine.transition('advance');
+  assert.deepEqual({ phase: machine.phase, round: machine.round, seq: machine.seq }, { phase: 'wait', round: 2, seq: 4 });
+  assert.deepEqual(machine.eventLog(2).map(event => `${event.type}:${event.from}>${event.to}:${event.round}`), [
+    'crash:flying>crashed:1',
+    'advance:crashed>wait:2'
+  ]);
+  assert.equal(machine.eventLog()[2].crashPoint, 2);
+});
+
+test('illegal transitions are refused and leave the state alone', () => {
+  const { machine } = setup();
+  const illegal = { code: 'illegal_transition' };
+
+  assert.throws(() => machine.transition('fly'), { ...illegal, message: 'Cannot fly from wait (round 0)' });
+  assert.throws(() => machine.transition('land'), { ...illegal, message: 'Unknown transition land' });
+  assert.equal(machine.can('start'), true);
+  assert.equal(machine.can('crash'), false);
+
+  playRound(machine, 3);
+  assert.throws(() => machine.transition('start', { round: 2 }), { ...illegal, message: 'Cannot start round 2: round 4 is already reached' });
+  assert.throws(() => machine.transition('start', { round: 'next' }), illegal);
+  assert.throws(() => machine.restore({ phase: 'landed' }), { ...illegal, message: 'Unknown phase landed' });
+  assert.deepEqual({ phase: machine.phase, round: machine.round, seq: machine.seq }, { phase: 'wait', round: 4, seq: 4 });
+
+  // A round in play can be abandoned; it keeps its number so it is replayed
+  machine.transition('start', { round: 4 });
+  machine.transition('abort');
+  assert.deepEqual({ phase: machine.phase, round: machine.round }, { phase: 'wait', round: 4 });
+  assert.throws(() => machine.transition('abort'), illegal);
+});
+
+test('phase timers are cancelled by the next transition', () => {
+  const { time, machine } = setup();
+  const fired = [];
+  machine.transition('start', { round: 1 });
+  machine.after('betting', 1000, () => fired.push('betting'));
+  machine.every('tick', 100, () => fired.push('tick'));
+  time.advance(250);
+  assert.deepEqual(fired, ['tick', 'tick']);
+  assert.deepEqual(machine.activeTimers(), ['betting', 'tick']);
+
+  machine.transition('fly');
+  assert.deepEqual(machine.activeTimers(), []);
+  time.advance(2000);
+  assert.deepEqual(fired, ['tick', 'tick']);
+  assert.equal(time.pendingTimers, 0);
+});
+
+test('a timer that throws is reported with the phase it belongs to', () => {
+  const reported = [];
+  const { time, machine } = setup({ onTimerError: (error, details) => reported.push({ message: error.message, ...details }) });
+  machine.transition('start', { round: 1 });
+  machine.after('betting', 1000, () => {
+    throw new Error('boom');
+  });
+  time.advance(1000);
+  assert.deepEqual(reported, [{ message: 'boom', timer: 'betting', expected: { round: 1, phase: 'betting' } }]);
+});
+
+test('replay rebuilds the state and the crashed rounds from the log', () => {
+  const { machine } = setup();
+  playRound(machine, 1, 1.5);
+  playRound(machine, 2, 3.2);
+  machine.transition('start', { round: 3, duration: 6000 });
+
+  const state = replay(machine.eventLog());
+  assert.deepEqual(
+    { phase: state.phase, round: state.round, seq: state.seq, phaseEndsAt: state.phaseEndsAt },
+    { phase: machine.phase, round: machine.round, seq: machine.seq, phaseEndsAt: machine.phaseEndsAt }
+  );
+  assert.deepEqual(state.crashed.map(({ round, crashPoint }) => ({ round, crashPoint })), [
+    { round: 1, crashPoint: 1.5 },
+    { round: 2, crashPoint: 3.2 }
+  ]);
+});
+
+test('replay refuses a log with a missing or reordered entry', () => {
+  const { machine } = setup();
+  playRound(machine, 1);
+  const events = machine.eventLog();
+  assert.throws(() => replay([events[0], events[2]]), {
+    code: 'illegal_transition',
+    message: 'Event 3 (crash from betting, round 1) does not follow from round 1'
+  });
+});
+
+test('the log keeps the last logSize events and still replays once trimmed', () => {
+  const { machine } = setup({ logSize: 12 });
+  for (let round = 1; round <= 50; round++) {
+    playRound(machine, round);
+  }
+  machine.transition('start', { round: 51 });
+  machine.transition('fly');
+
+  const events = machine.eventLog();
+  assert.equal(events.length, 12);
+  assert.equal(events[0].seq, machine.seq - 11);
+  assert.equal(events[0].type, 'crash');
+
+  const state = replay(events);
+  assert.deepEqual({ phase: state.phase, round: state.round, seq: state.seq }, { phase: 'flying', round: 51, seq: machine.seq });
+  assert.deepEqual(state.crashed.map(({ round }) => round), [48, 49, 50]);
+
+  // Replaying newer entries only works the same
+  assert.equal(replay(machine.eventLog(machine.seq - 3)).round, 51);
+});
+
+test('a restore is logged and replayed as is', () => {
+  const { time, machine } = setup();
+  playRound(machine, 1);
+  machine.restore({ phase: 'wait', round: 7, phaseStartedAt: time.now });
+  machine.transition('start', { round: 7 });
+
+  const events = machine.eventLog();
+  assert.deepEqual(events.slice(-2).map(({ type, from, round }) => ({ type, from, round })), [
+    { type: 'restore', from: 'wait', round: 7 },
+    { type: 'start', from: 'wait', round: 7 }
+  ]);
+  assert.equal(replay(events).round, 7);
+
+  // A replica's silent restore is not logged
+  assert.equal(machine.restore({ phase: 'flying', round: 7 }, { recordEvent: false }), null);
+  assert.equal(machine.eventLog().length, events.length);
+  assert.equal(machine.phase, 'flying');
+});
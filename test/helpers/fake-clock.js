@@ -0,0 +1,64 @@
+// Fake clock and scheduler for the game loop (see lib/game-state-machine.js)
+//
+// Time only moves when a test calls advance(ms); the timers that fall due on the way fire in
+// order of their due time (then of creation), each seeing clock.now() at its due time.
+
+function createFakeClock(start = Date.UTC(2026, 0, 1, 12, 0, 0)) {
+  let now = start;
+  let nextId = 1;
+  const timers = new Map(); // id -> { due, callback, interval }
+
+  function add(callback, delay, interval) {
+    const id = nextId++;
+    timers.set(id, { due: now + Math.max(0, delay || 0), callback, interval });
+    return id;
+  }
+
+  const clock = {
+    now: () => now
+  };
+
+  const scheduler = {
+    setTimeout: (callback, delay) => add(callback, delay, null),
+    clearTimeout: (id) => timers.delete(id),
+    setInterval: (callback, interval) => add(callback, interval, Math.max(1, interval || 0)),
+    clearInterval: (id) => timers.delete(id)
+  };
+
+  function nextDue(until) {
+    let next = null;
+    timers.forEach((timer, id) => {
+      if (timer.due <= until && (!next || timer.due < next.timer.due)) {
+        next = { id, timer };
+      }
+    });
+    return next;
+  }
+
+  // Move time forward by `ms`, running every timer that falls due on the way
+  function advance(ms) {
+    const until = now + ms;
+    let next = nextDue(until);
+    while (next) {
+      now = next.timer.due;
+      if (next.timer.interval) {
+        next.timer.due += next.timer.interval;
+      } else {
+        timers.delete(next.id);
+      }
+      next.timer.callback();
+      next = nextDue(until);
+    }
+    now = until;
+  }
+
+  return {
+    clock,
+    scheduler,
+    advance,
+    get now() { return now; },
+    get pendingTimers() { return timers.size; }
+  };
+}
+
+module.exports = { createFakeClock };
@@ -0,0 +1,189 @@
+// Test harness: the whole server in-process on a fake clock
+//
+//   const server = await startServer({ BETTING_PHASE_DURATION: '5000' });
+//   const client = await server.connect();
+//   await server.queue([1.5, 2], 1);
+//   await server.advance(6000);
+//   client.names(); // ['round:start', 'round:flying', ...]
+//   await server.stop();
+//
+// The game loops run on a fake clock (test/helpers/fake-clock.js), so rounds only move on
+// advance(ms). HTTP and Socket.IO are real, on a free port, and every client records the
+// events it receives. advance() and sync() wait until each client has received everything
+// the server sent so far, so tests can assert exact event sequences.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { io: connectClient } = require('socket.io-client');
+const logger = require('../../lib/logger');
+const { createServer } = require('../../socket-server');
+const { createFakeClock } = require('./fake-clock');
+
+const ADMIN_SECRET = 'test-secret';
+
+// Quiet unless LOG_LEVEL asks for output
+logger.configure({ level: process.env.LOG_LEVEL || 'silent' });
+
+// Defaults for every test server: memory storage, no limits or background timers that
+// would make runs depend on real time
+const BASE_ENV = {
+  SOCKET_SERVER_SECRET: ADMIN_SECRET,
+  STORAGE_TYPE: 'memory',
+  BETTING_PHASE_DURATION: '6000',
+  WAIT_PHASE_DURATION: '3000',
+  MULTIPLIER_UPDATE_INTERVAL: '100',
+  MULTIPLIER_KEYFRAME_INTERVAL: '1000',
+  LIVE_BETS_INTERVAL: '0',
+  HTTP_RATE_LIMIT: '0',
+  SOCKET_RATE_LIMIT: '0',
+  MAX_SOCKETS_PER_IP: '0',
+  ALLOWED_ORIGINS: '*'
+};
+
+// A Socket.IO client that records every event it receives
+function recordingClient(url, options = {}) {
+  const socket = connectClient(url, { transports: ['websocket'], reconnection: false, forceNew: true, ...options });
+  const events = [];
+  socket.onAny((event, payload) => events.push({ event, payload }));
+
+  return {
+    socket,
+    events,
+    // Event names received, optionally only those matching `filter` (regexp or names)
+    names(filter = null) {
+      return events.map(entry => entry.event).filter(event => matches(event, filter));
+    },
+    // Payloads of one event
+    payloads(event) {
+      return events.filter(entry => entry.event === event).map(entry => entry.payload);
+    },
+    clear() {
+      events.length = 0;
+    },
+    emit(event, data) {
+      return socket.emitWithAck(event, data);
+    },
+    // Everything the server sent before this call has arrived once the ack is back: the
+    // connection delivers in order
+    async sync() {
+      if (socket.connected) {
+        await socket.emitWithAck('time:sync', {});
+      }
+    },
+    close() {
+      socket.close();
+    }
+  };
+}
+
+function matches(event, filter) {
+  if (!filter) {
+    return true;
+  }
+  return filter instanceof RegExp ? filter.test(event) : filter.includes(event);
+}
+
+function waitForConnect(client) {
+  return new Promise((resolve, reject) => {
+    client.socket.once('connect', resolve);
+    client.socket.once('connect_error', reject);
+  });
+}
+
+async function startServer(env = {}) {
+  const time = createFakeClock();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aviator-test-'));
+  let instance;
+  try {
+    instance = createServer({
+      env: {
+        ...BASE_ENV,
+        AUDIT_LOG_PATH: path.join(dataDir, 'audit.log'),
+        INCIDENT_LOG_PATH: path.join(dataDir, 'incidents.log'),
+        ...env
+      },
+      clock: time.clock,
+      scheduler: time.scheduler
+    });
+  } catch (error) {
+    // Refused configuration
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    throw error;
+  }
+  const port = await instance.listen(0);
+  const url = `http://127.0.0.1:${port}`;
+  const clients = [];
+
+  async function syncClients() {
+    await Promise.all(clients.map(client => client.sync()));
+  }
+
+  // HTTP request with the admin key; { status, body }
+  async function request(method, route, body = undefined, headers = {}) {
+    const response = await fetch(`${url}${route}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${ADMIN_SECRET}`,
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      // Not JSON (e.g. /metrics)
+    }
+    return { status: response.status, body: parsed };
+  }
+
+  return {
+    ...instance,
+    url,
+    time,
+
+    request,
+
+    // POST /queue, then wait for the events it caused
+    async queue(multipliers, startRound, extra = {}) {
+      const result = await request('POST', '/queue', { multipliers, startRound, ...extra });
+      await syncClients();
+      return result;
+    },
+
+    // Connect a recording client (auth / query in `options`) once the handshake is done
+    async connect(options = {}) {
+      const client = recordingClient(url, options);
+      clients.push(client);
+      await waitForConnect(client);
+      await client.sync();
+      return client;
+    },
+
+    // Move the fake clock and wait until every client has received what was sent meanwhile
+    async advance(ms) {
+      time.advance(ms);
+      await syncClients();
+    },
+
+    sync: syncClients,
+
+    table(id = 'main') {
+      return instance.tables.get(id);
+    },
+
+    async stop() {
+      clients.forEach(client => client.close());
+      await instance.close();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+}
+
+module.exports = {
+  ADMIN_SECRET,
+  startServer
+};
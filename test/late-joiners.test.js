@@ -0,0 +1,114 @@
+// Clients joining mid-round get the table state and then follow the live events
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createCurve } = require('../lib/multiplier-curve');
+const { startServer } = require('./helpers/harness');
+
+const BETTING = 6000;
+const WAIT = 3000;
+const curve = createCurve();
+const JOIN_EVENTS = ['game:snapshot', 'game:state', 'round:info'];
+
+let server;
+
+beforeEach(async () => {
+  server = await startServer();
+});
+
+afterEach(async () => {
+  await server.stop();
+});
+
+test('a client joining an idle table gets the wait state and an empty history', async () => {
+  const client = await server.connect();
+  assert.deepEqual(client.names(), [...JOIN_EVENTS, 'history:snapshot']);
+  const [snapshot] = client.payloads('game:snapshot');
+  assert.equal(snapshot.gamePhase, 'wait');
+  assert.equal(snapshot.currentRound, 0);
+  assert.equal(snapshot.serverTime, server.time.now);
+  assert.deepEqual(client.payloads('history:snapshot'), [{ tableId: 'main', rounds: [] }]);
+});
+
+test('a client joining during betting gets round:start with the time left', async () => {
+  await server.queue([1.5], 1);
+  await server.advance(2000);
+
+  const client = await server.connect();
+  assert.deepEqual(client.names(), [...JOIN_EVENTS, 'round:start', 'history:snapshot']);
+  const [snapshot] = client.payloads('game:snapshot');
+  assert.equal(snapshot.gamePhase, 'betting');
+  assert.equal(snapshot.currentRound, 1);
+  assert.equal(snapshot.phaseRemainingMs, BETTING - 2000);
+  assert.deepEqual(client.payloads('round:start'), [{ tableId: 'main', round: 1, crashPoint: 1.5 }]);
+
+  // Then it follows the round like everyone else
+  client.clear();
+  await server.advance(BETTING - 2000);
+  assert.deepEqual(client.names(), ['round:flying']);
+});
+
+test('a client joining mid-flight gets round:flying with the flight start to render from', async () => {
+  const start = server.time.now;
+  await server.queue([3], 1);
+  await server.advance(BETTING + 2500);
+
+  const client = await server.connect();
+  assert.deepEqual(client.names(), [...JOIN_EVENTS, 'round:flying', 'history:snapshot']);
+  const [flying] = client.payloads('round:flying');
+  assert.equal(flying.round, 1);
+  assert.equal(flying.startTime, start + BETTING);
+  assert.equal(flying.multiplier, curve.multiplierAtElapsed(2500));
+  const [snapshot] = client.payloads('game:snapshot');
+  assert.equal(snapshot.gamePhase, 'flying');
+  assert.equal(snapshot.flightElapsedMs, 2500);
+
+  // The next keyframe is the one everyone gets
+  client.clear();
+  await server.advance(500);
+  assert.deepEqual(client.payloads('multiplier:update'), [{
+    tableId: 'main',
+    round: 1,
+    multiplier: curve.multiplierAtElapsed(3000),
+    elapsed: 3000,
+    serverTime: start + BETTING + 3000
+  }]);
+});
+
+test('a client joining after the crash gets round:crash and the round in its history', async () => {
+  await server.queue([1.2, 1.3], 1);
+  await server.advance(BETTING + curve.flightDuration(1.2) + 100);
+
+  const client = await server.connect();
+  assert.deepEqual(client.names(), [...JOIN_EVENTS, 'round:crash', 'history:snapshot']);
+  assert.deepEqual(client.payloads('round:crash'), [{ tableId: 'main', round: 1, crashPoint: 1.2 }]);
+  assert.deepEqual(client.payloads('history:snapshot')[0].rounds.map(entry => entry.crashPoint), [1.2]);
+
+  client.clear();
+  await server.advance(WAIT);
+  assert.deepEqual(client.payloads('round:start'), [{ tableId: 'main', round: 2, crashPoint: 1.3 }]);
+});
+
+test('request:snapshot returns the state at the current time', async () => {
+  await server.queue([3], 1);
+  const client = await server.connect();
+  await server.advance(BETTING + 1200);
+
+  client.clear();
+  client.socket.emit('request:snapshot');
+  await client.sync();
+  const [snapshot] = client.payloads('game:snapshot');
+  assert.equal(snapshot.gamePhase, 'flying');
+  assert.equal(snapshot.flightElapsedMs, 1200);
+  assert.equal(snapshot.serverTime, server.time.now);
+});
+
+test('GET /current-state matches the snapshot sent on connect', async () => {
+  await server.queue([3], 1);
+  await server.advance(BETTING + 700);
+
+  const client = await server.connect();
+  const { status, body } = await server.request('GET', '/current-state');
+  assert.equal(status, 200);
+  assert.deepEqual(body, client.payloads('game:snapshot')[0]);
+});
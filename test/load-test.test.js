@@ -0,0 +1,73 @@
+// Load test CLI: options, latency histogram and the flight checks behind its report
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseArgs, createHistogram, createFlightTracker } = require('../lib/load-test');
+
+test('options come from flags, with the server settings from the environment', () => {
+  const { options, errors } = parseArgs(
+    ['--clients', '500', '--jitter=2000', '--bet-rate', '0.25', '--no-queue', '--table', 'fast'],
+    { SOCKET_PORT: '4000', SOCKET_SERVER_SECRET: 'secret' }
+  );
+  assert.deepEqual(errors, []);
+  assert.equal(options.clients, 500);
+  assert.equal(options.jitter, 2000);
+  assert.equal(options.betRate, 0.25);
+  assert.equal(options.queue, false);
+  assert.equal(options.table, 'fast');
+  assert.equal(options.url, 'http://localhost:4000');
+  assert.equal(options.secret, 'secret');
+  assert.equal(options.duration, 60);
+});
+
+test('invalid options are all reported', () => {
+  const { errors } = parseArgs(['--clients', '1.5', '--bet-rate', '2', '--speed', '3', '--duration']);
+  assert.deepEqual(errors, [
+    '--clients must be an integer',
+    '--bet-rate must be between 0 and 1',
+    'Unknown option --speed',
+    'Unexpected argument 3',
+    '--duration needs a value'
+  ]);
+});
+
+test('the histogram reports percentiles to the millisecond', () => {
+  const histogram = createHistogram();
+  assert.deepEqual(histogram.summary(), { count: 0 });
+  for (let ms = 1; ms <= 100; ms++) {
+    histogram.record(ms);
+  }
+  histogram.record(-3); // clock offset error: counted as 0
+  assert.deepEqual(histogram.summary(), { count: 101, min: 0, mean: 50, p50: 50, p90: 90, p95: 95, p99: 99, max: 100 });
+});
+
+test('gaps in a flight count the keyframes missing from it', () => {
+  const tracker = createFlightTracker();
+  tracker.start({ round: 7 });
+  assert.deepEqual(tracker.flying({ round: 7, startTime: 1000, serverTime: 1000, keyframeInterval: 100 }), { outOfOrder: false, live: true });
+  assert.deepEqual(tracker.update({ round: 7, elapsed: 100 }), { outOfOrder: false, missing: 0 });
+  // A late tick is not a missing keyframe, a skipped one is
+  assert.deepEqual(tracker.update({ round: 7, elapsed: 260 }), { outOfOrder: false, missing: 0 });
+  assert.deepEqual(tracker.update({ round: 7, elapsed: 560 }), { outOfOrder: false, missing: 2 });
+});
+
+test('keyframes going back in time or after the crash are out of order', () => {
+  const tracker = createFlightTracker();
+  tracker.flying({ round: 3, startTime: 0, serverTime: 0, keyframeInterval: 1000 });
+  tracker.update({ round: 3, elapsed: 1000 });
+  assert.equal(tracker.update({ round: 3, elapsed: 1000 }).outOfOrder, true);
+  assert.equal(tracker.crash({ round: 3 }).outOfOrder, false);
+  assert.equal(tracker.update({ round: 3, elapsed: 2000 }).outOfOrder, true);
+  assert.equal(tracker.start({ round: 2 }).outOfOrder, true);
+});
+
+test('a flight joined midway starts counting at its first keyframe', () => {
+  const tracker = createFlightTracker();
+  assert.equal(tracker.flying({ round: 5, startTime: 0, serverTime: 4300, keyframeInterval: 1000 }).live, false);
+  assert.deepEqual(tracker.update({ round: 5, elapsed: 5000 }), { outOfOrder: false, missing: 0 });
+
+  // Keyframes sent while disconnected are not counted as missing
+  tracker.reconnected();
+  assert.deepEqual(tracker.update({ round: 5, elapsed: 9000 }), { outOfOrder: false, missing: 0 });
+  assert.deepEqual(tracker.update({ round: 5, elapsed: 10000 }), { outOfOrder: false, missing: 0 });
+});
@@ -0,0 +1,30 @@
+// Logger: throttled lines follow the clock they are given
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const logger = require('../lib/logger');
+const { createFakeClock } = require('./helpers/fake-clock');
+
+test('a throttled logger writes one line per interval and counts the rest', () => {
+  const lines = [];
+  logger.configure({ level: 'info', namespaces: {}, format: 'json', write: (line) => lines.push(JSON.parse(line)) });
+  const time = createFakeClock(0);
+  const ticks = logger.createLogger('table').throttle(1000, time.clock);
+
+  ticks.info('tick', { n: 1 });
+  time.advance(400);
+  ticks.info('tick', { n: 2 });
+  time.advance(599);
+  ticks.info('tick', { n: 3 });
+  time.advance(1);
+  ticks.info('tick', { n: 4 });
+  ticks.debug('tick', { n: 5 }); // below the level: neither written nor counted
+  time.advance(1000);
+  ticks.info('tick', { n: 6 });
+
+  assert.deepEqual(lines.map(({ n, suppressed }) => ({ n, suppressed })), [
+    { n: 1, suppressed: undefined },
+    { n: 4, suppressed: 2 },
+    { n: 6, suppressed: undefined }
+  ]);
+});
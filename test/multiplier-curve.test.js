@@ -0,0 +1,47 @@
+// Curves: exact time estimates, and table curves must fly every crash point within the safety limit
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createCurve, checkCurve, selfCheck } = require('../lib/multiplier-curve');
+const { startServer } = require('./helpers/harness');
+
+test('every built-in strategy passes the self-check with its default options', () => {
+  assert.equal(selfCheck().ok, true);
+});
+
+test('the time estimate is the flight duration unless jitter is asked for', () => {
+  const curve = createCurve();
+  assert.equal(curve.estimateTimeToMultiplier(2), curve.flightDuration(2) / 1000);
+  assert.equal(curve.estimateTimeToMultiplier(2), curve.estimateTimeToMultiplier(2));
+
+  const jittered = createCurve({ jitter: 0.5 });
+  const estimate = jittered.estimateTimeToMultiplier(2);
+  assert.ok(Math.abs(estimate - curve.flightDuration(2) / 1000) <= 0.25);
+});
+
+test('a table curve too slow for the highest crash point is a problem', () => {
+  const slow = createCurve({ type: 'linear', slope: 1 });
+  assert.deepEqual(checkCurve(slow).problems, []);
+  assert.ok(checkCurve(slow).warnings.length > 0);
+  assert.match(checkCurve(slow, { strict: true }).problems.join('\n'), /1000000x takes 999999s, over the 300s safety limit/);
+  assert.equal(selfCheck([slow]).ok, false);
+
+  assert.deepEqual(checkCurve(createCurve({ type: 'linear', slope: 3334 }), { strict: true }).problems, []);
+  assert.deepEqual(checkCurve(createCurve({ type: 'exponential', growthRate: 0.05 }), { strict: true }).problems, []);
+});
+
+test('startup and PUT /admin/config refuse a curve that cannot fly every crash point in time', async () => {
+  await assert.rejects(startServer({ CURVE_TYPE: 'linear' }), /Curve self-check failed/);
+
+  const server = await startServer();
+  try {
+    const refused = await server.request('PUT', '/admin/config', { curveType: 'linear' });
+    assert.equal(refused.status, 400);
+    assert.equal(refused.body.error, 'Curve self-check failed');
+
+    const accepted = await server.request('PUT', '/admin/config', { curveType: 'linear', curveSlope: 5000 });
+    assert.equal(accepted.status, 200);
+  } finally {
+    await server.stop();
+  }
+});
@@ -0,0 +1,179 @@
+// Pull feed against a stub backend: batches, retries with backoff and an idle backend
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const logger = require('../lib/logger');
+const { createFeed } = require('../lib/multiplier-feed');
+const { createFakeClock } = require('./helpers/fake-clock');
+
+logger.configure({ level: process.env.LOG_LEVEL || 'silent' });
+
+const FEED_URL = 'http://backend.test/multipliers';
+
+// A feed on a fake clock. `responses` are answered in order, one per request: a status
+// with an optional body, or an Error to throw. The table's queue grows with every batch.
+function setup(responses, options = {}) {
+  const time = createFakeClock();
+  const requests = [];
+  const batches = [];
+  let queueSize = 0;
+
+  const table = {
+    id: 'main',
+    active: true,
+    queueStatus: () => ({ queueSize, lastRound: queueSize > 0 ? queueSize : null, firstOpenRound: 1 })
+  };
+
+  async function fetchImpl(url, init) {
+    requests.push({ url: new URL(url), headers: init.headers });
+    const next = responses.shift();
+    if (!next) {
+      throw new Error('no more responses');
+    }
+    if (next instanceof Error) {
+      throw next;
+    }
+    return {
+      status: next.status,
+      ok: next.status >= 200 && next.status < 300,
+      json: async () => next.body
+    };
+  }
+
+  async function enqueue(batch) {
+    batches.push(batch);
+    queueSize += batch.multipliers.length;
+    return { status: 200, body: { accepted: batch.multipliers.map((value, i) => batch.startRound + i), queueSize } };
+  }
+
+  const feed = createFeed({
+    table,
+    url: FEED_URL,
+    token: 'feed-token',
+    enqueue,
+    lowWater: 2,
+    batchSize: 3,
+    pollInterval: 1000,
+    retryInitial: 1000,
+    retryMax: 4000,
+    fetchImpl,
+    clock: time.clock,
+    scheduler: time.scheduler,
+    ...options
+  });
+
+  return {
+    feed,
+    time,
+    requests,
+    batches,
+    // Move the fake clock, then let the requests it started finish
+    async advance(ms) {
+      time.advance(ms);
+      await new Promise(resolve => setImmediate(resolve));
+    },
+    // Milliseconds until the next scheduled request
+    nextIn() {
+      return Date.parse(feed.health().nextAttemptAt) - time.now;
+    }
+  };
+}
+
+test('a low queue is filled from the backend', async () => {
+  const stub = setup([{ status: 200, body: { multipliers: [1.5, 2, 3], startRound: 1 } }]);
+  stub.feed.start();
+  await stub.advance(0);
+
+  assert.equal(stub.requests.length, 1);
+  const [{ url, headers }] = stub.requests;
+  assert.equal(url.origin + url.pathname, FEED_URL);
+  assert.deepEqual(Object.fromEntries(url.searchParams), { tableId: 'main', fromRound: '1', count: '3' });
+  assert.deepEqual(headers, { Authorization: 'Bearer feed-token' });
+  assert.deepEqual(stub.batches, [{ multipliers: [1.5, 2, 3], startRound: 1 }]);
+
+  const health = stub.feed.health();
+  assert.equal(health.state, 'ok');
+  assert.equal(health.batchesFetched, 1);
+  assert.equal(health.roundsFetched, 3);
+  assert.equal(health.lastSuccessAt, new Date(stub.time.now).toISOString());
+
+  // The queue is above the low-water mark now: the feed only checks it
+  await stub.advance(5000);
+  assert.equal(stub.requests.length, 1);
+  stub.feed.stop();
+  assert.equal(stub.time.pendingTimers, 0);
+});
+
+// The feed is backing off after `failures` failed requests: nothing is sent until the
+// jittered delay is over
+async function expectRetry(stub, failures, error, delay) {
+  const health = stub.feed.health();
+  assert.equal(health.state, 'failing');
+  assert.equal(health.consecutiveFailures, failures);
+  assert.equal(health.lastError, error);
+  const wait = stub.nextIn();
+  assert.ok(wait >= delay / 2 && wait <= delay, `retry ${failures} in ${wait}ms`);
+
+  await stub.advance(wait - 1);
+  assert.equal(stub.requests.length, failures);
+  await stub.advance(1);
+  assert.equal(stub.requests.length, failures + 1);
+}
+
+test('failed requests are retried with exponential backoff', async () => {
+  const stub = setup([
+    { status: 500 },
+    new Error('connect ECONNREFUSED'),
+    { status: 200, body: 'not a batch' },
+    { status: 200, body: { multipliers: [1.5, 2, 3], startRound: 1 } }
+  ]);
+  stub.feed.start();
+  await stub.advance(0);
+
+  // The delay doubles with every failure, with 50-100% jitter
+  await expectRetry(stub, 1, 'HTTP 500', 1000);
+  await expectRetry(stub, 2, 'connect ECONNREFUSED', 2000);
+  assert.equal(stub.requests.length, 3);
+
+  // A 200 without multipliers means the backend has nothing yet, not a failure
+  let health = stub.feed.health();
+  assert.equal(health.state, 'waiting');
+  assert.equal(health.consecutiveFailures, 0);
+  assert.equal(stub.nextIn(), 1000);
+
+  await stub.advance(1000);
+  health = stub.feed.health();
+  assert.equal(stub.requests.length, 4);
+  assert.equal(health.state, 'ok');
+  assert.equal(health.batchesFetched, 1);
+  stub.feed.stop();
+});
+
+test('backoff stops growing at retryMax', async () => {
+  const stub = setup([{ status: 503 }, { status: 503 }, { status: 503 }, { status: 503 }]);
+  stub.feed.start();
+  await stub.advance(0);
+
+  for (let i = 0; i < 3; i++) {
+    await stub.advance(stub.nextIn());
+  }
+  assert.equal(stub.feed.health().consecutiveFailures, 4);
+  const wait = stub.nextIn();
+  assert.ok(wait >= 2000 && wait <= 4000, `retry in ${wait}ms`);
+  stub.feed.stop();
+});
+
+test('an idle backend is polled at the normal rate', async () => {
+  const stub = setup([{ status: 204 }, { status: 200, body: { multipliers: [] } }]);
+  stub.feed.start();
+  await stub.advance(0);
+  assert.equal(stub.feed.health().state, 'waiting');
+
+  await stub.advance(999);
+  assert.equal(stub.requests.length, 1);
+  await stub.advance(1);
+  assert.equal(stub.requests.length, 2);
+  assert.equal(stub.feed.health().state, 'waiting');
+  assert.deepEqual(stub.batches, []);
+  stub.feed.stop();
+});
@@ -0,0 +1,97 @@
+// Provably fair state across restarts: the derive mode seed chain and the verify mode seeds
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { deriveCrashPoint, verifyHistory } = require('../lib/provably-fair');
+const { startServer } = require('./helpers/harness');
+
+const BETTING = 6000;
+const MAX_FLIGHT = 301000; // past the safety limit, whatever crash point is derived
+
+let dataDir;
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aviator-fair-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// A server using the file store in dataDir
+function start(env) {
+  return startServer({
+    STORAGE_TYPE: 'file',
+    STORAGE_PATH: path.join(dataDir, 'game-state.json'),
+    ...env
+  });
+}
+
+// Play `round` on a fresh derive mode server; the fairness record
+async function playRound(round, env = {}) {
+  const server = await start({ PROVABLY_FAIR: 'derive', PROVABLY_FAIR_CHAIN_LENGTH: '5', ...env });
+  try {
+    await server.queue([2], round);
+    await server.advance(BETTING + MAX_FLIGHT);
+    const { status, body } = await server.request('GET', `/verify/${round}`);
+    assert.equal(status, 200);
+    return body;
+  } finally {
+    await server.stop();
+  }
+}
+
+test('a restarted table continues the chain built from the secret', async () => {
+  const first = await playRound(1, { PROVABLY_FAIR_SECRET: 'fair-secret' });
+  const second = await playRound(2, { PROVABLY_FAIR_SECRET: 'fair-secret' });
+
+  assert.equal(second.chainHead, first.chainHead);
+  assert.deepEqual([first.chainIndex, second.chainIndex], [0, 1]);
+  assert.equal(verifyHistory([first, second], first.chainHead).valid, true);
+
+  // The same secret and table give the same chain on a fresh store
+  fs.rmSync(path.join(dataDir, 'game-state.json'));
+  const replayed = await playRound(1, { PROVABLY_FAIR_SECRET: 'fair-secret' });
+  assert.equal(replayed.chainHead, first.chainHead);
+  assert.equal(replayed.serverSeed, first.serverSeed);
+});
+
+test('a chain that cannot be rebuilt is replaced by a new one', async () => {
+  const first = await playRound(1, { PROVABLY_FAIR_SECRET: 'fair-secret' });
+  const second = await playRound(2, { PROVABLY_FAIR_SECRET: 'other-secret' });
+
+  assert.notEqual(second.chainHead, first.chainHead);
+  assert.equal(second.chainIndex, 0);
+  assert.equal(second.valid, true);
+});
+
+test('the backend seeds of queued rounds survive a restart', async () => {
+  const multipliers = ['seed-1', 'seed-2'].map((serverSeed, i) => {
+    const nonce = i + 1;
+    return { multiplier: deriveCrashPoint(serverSeed, 'backend', nonce), serverSeed, clientSeed: 'backend', nonce };
+  });
+
+  // Round 1 is interrupted in its betting phase, round 2 is still queued
+  const first = await start({ PROVABLY_FAIR: 'verify' });
+  try {
+    assert.equal((await first.queue(multipliers, 1)).status, 200);
+  } finally {
+    await first.stop();
+  }
+
+  const second = await start({ PROVABLY_FAIR: 'verify' });
+  try {
+    for (const round of [1, 2]) {
+      await second.advance(BETTING + MAX_FLIGHT);
+      const { status, body } = await second.request('GET', `/verify/${round}`);
+      assert.equal(status, 200);
+      assert.equal(body.serverSeed, `seed-${round}`);
+      assert.equal(body.valid, true);
+    }
+  } finally {
+    await second.stop();
+  }
+});
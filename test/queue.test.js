@@ -0,0 +1,53 @@
+// POST /queue idempotency: a keyed batch is applied once and written once
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTable } = require('../lib/game-table');
+const { createMemoryStore } = require('../lib/storage');
+const { createFakeClock } = require('./helpers/fake-clock');
+
+// A table whose store counts its writes
+function setup() {
+  const time = createFakeClock();
+  const memory = createMemoryStore();
+  const store = {
+    ...memory,
+    saves: 0,
+    save(snapshot) {
+      store.saves++;
+      memory.save(snapshot);
+    }
+  };
+  const table = createTable({
+    id: 'main',
+    io: { to: () => ({ emit() {} }) },
+    store,
+    liveBetsInterval: 0,
+    clock: time.clock,
+    scheduler: time.scheduler
+  });
+  return { table, store };
+}
+
+test('a keyed batch is saved once, with its key', () => {
+  const { table, store } = setup();
+  table.enqueue({ multipliers: [1.5], startRound: 1 }); // round 1 is now in its betting phase
+
+  store.saves = 0;
+  const first = table.enqueue({ multipliers: [2, 3], startRound: 2 }, { idempotencyKey: 'batch-1' });
+  assert.equal(first.status, 200);
+  assert.equal(store.saves, 1);
+  assert.deepEqual(store.load().idempotencyKeys.map(([key]) => key), ['batch-1']);
+
+  // A retry replays the stored response without writing
+  const retry = table.enqueue({ multipliers: [2, 3], startRound: 2 }, { idempotencyKey: 'batch-1' });
+  assert.equal(retry.replayed, true);
+  assert.deepEqual(retry.body, first.body);
+  assert.equal(store.saves, 1);
+
+  // A refused batch only stores its key
+  const refused = table.enqueue({ multipliers: [0.5], startRound: 4 }, { idempotencyKey: 'batch-2' });
+  assert.equal(refused.status, 400);
+  assert.equal(store.saves, 2);
+  assert.deepEqual(store.load().idempotencyKeys.map(([key]) => key), ['batch-1', 'batch-2']);
+});
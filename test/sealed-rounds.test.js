@@ -0,0 +1,58 @@
+// Sealed rounds: a crash point stays hidden until its round has crashed
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTable } = require('../lib/game-table');
+const { createMemoryStore } = require('../lib/storage');
+const { createFakeClock } = require('./helpers/fake-clock');
+const { startServer } = require('./helpers/harness');
+
+const BETTING = 6000;
+const FLIGHT = 20000; // longer than any flight below
+const WAIT = 3000;
+
+test('the rounds of a sealed table are shown once they have crashed', async () => {
+  const server = await startServer({ SEALED_ROUNDS: 'true' });
+  try {
+    await server.queue([1.5, 2.5], 1);
+    let { body } = await server.request('GET', '/test-round/1', undefined, { Authorization: '' });
+    assert.equal(body.multiplier, null);
+    assert.deepEqual(body.allRounds, []);
+
+    await server.advance(BETTING + FLIGHT);
+    ({ body } = await server.request('GET', '/test-round/1', undefined, { Authorization: '' }));
+    assert.equal(body.multiplier, 1.5);
+    assert.deepEqual(body.allRounds, [1]);
+  } finally {
+    await server.stop();
+  }
+});
+
+// A replica mirrors the leader's phases, including the wait phase between two rounds,
+// where the round number already points at the next (queued) round
+test('a queued round is not shown in the wait phase', () => {
+  const time = createFakeClock();
+  const table = createTable({
+    id: 'main',
+    io: { to: () => ({ emit() {} }) },
+    store: createMemoryStore(),
+    sealedRounds: true,
+    active: false,
+    clock: time.clock,
+    scheduler: time.scheduler
+  });
+  table.importState({
+    currentRound: 2,
+    gamePhase: 'wait',
+    roundMultipliers: [[1, 1.5], [2, 2.5]],
+    roundResults: [{ round: 1, crashPoint: 1.5, crashedAt: time.now - WAIT }]
+  });
+
+  assert.equal(table.healthView(false).currentMultiplier, null);
+  assert.equal(table.testRoundView(2, false).multiplier, null);
+  assert.deepEqual(table.testRoundView(2, false).allRounds, [1]);
+  assert.deepEqual(table.debugView(false).roundMultipliers, [[1, 1.5]]);
+
+  // Admins still see the queue
+  assert.equal(table.testRoundView(2, true).multiplier, 2.5);
+});
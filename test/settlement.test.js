@@ -0,0 +1,72 @@
+// Settlement events: results go to their player, the table only sees public names
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { signToken } = require('../lib/player-auth');
+const { startServer, ADMIN_SECRET } = require('./helpers/harness');
+
+const TOKEN_SECRET = 'player-secret';
+const BETTING = 6000;
+const FLIGHT = 20000; // longer than any flight below
+
+let server;
+
+beforeEach(async () => {
+  server = await startServer({ PLAYER_TOKEN_SECRET: TOKEN_SECRET });
+});
+
+afterEach(async () => {
+  await server.stop();
+});
+
+function player(claims) {
+  return server.connect({ auth: { token: signToken(claims, TOKEN_SECRET) } });
+}
+
+test('a private player\'s user id never reaches a spectator', async () => {
+  const spectator = await server.connect();
+  const admin = await server.connect({ auth: { apiKey: ADMIN_SECRET } });
+  const hidden = await player({ sub: 'user-42', name: 'Alice', private: true });
+  const shown = await player({ sub: 'user-7', name: 'Bob' });
+
+  await server.queue([1.5], 1);
+  assert.equal((await hidden.emit('bet:place', { amount: 10, autoCashout: 1.2 })).success, true);
+  assert.equal((await shown.emit('bet:place', { amount: 5 })).success, true);
+  await server.advance(BETTING + FLIGHT);
+
+  const everything = JSON.stringify(spectator.events);
+  assert.doesNotMatch(everything, /user-42|user-7/);
+  assert.deepEqual(spectator.names(['bet:settlement', 'admin:settlement']), []);
+
+  const [settlement] = spectator.payloads('round:settlement');
+  assert.deepEqual(settlement.bets.map(({ player: name, result, payout }) => ({ name, result, payout })), [
+    { name: null, result: 'won', payout: 12 },
+    { name: 'Bob', result: 'lost', payout: 0 }
+  ]);
+  assert.equal(settlement.totalPaidOut, 12);
+
+  // Each player gets their own result only
+  assert.deepEqual(hidden.payloads('bet:settlement').map(({ round, result, payout }) => ({ round, result, payout })), [
+    { round: 1, result: 'won', payout: 12 }
+  ]);
+  assert.deepEqual(shown.payloads('bet:settlement').map(({ result }) => result), ['lost']);
+
+  // Admins get the user ids
+  const [detail] = admin.payloads('admin:settlement');
+  assert.deepEqual(detail.bets.map(bet => bet.playerId), ['user-42', 'user-7']);
+});
+
+test('refunds of an abandoned round go to their player', async () => {
+  const spectator = await server.connect();
+  const bettor = await player({ sub: 'user-42', private: true });
+
+  await server.queue([1.5], 1);
+  await bettor.emit('bet:place', { amount: 10 });
+  await server.request('POST', '/force-start');
+  await server.sync();
+
+  assert.deepEqual(bettor.payloads('bet:settlement').map(({ voided, result, payout }) => ({ voided, result, payout })), [
+    { voided: true, result: 'refunded', payout: 10 }
+  ]);
+  assert.doesNotMatch(JSON.stringify(spectator.events), /user-42/);
+});